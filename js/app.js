@@ -1,50 +1,55 @@
 /* Main mvcblog-front script */
 
-//load external resources
-function loadTextFile(url) {
-  return new Promise((resolve, reject) => {
-    $.get({
-      url: url,
-      cache: true,
-      beforeSend: function( xhr ) {
-        xhr.overrideMimeType( "text/plain" );
-      }
-    }).then((source) => {
-      resolve(source);
-    }).fail(() => reject());
-  });
-}
-
-
 // Configuration
 var AppConfig = {
-  backendServer: 'http://localhost'
+  backendServer: 'http://localhost',
   //backendServer: '/mvcblog'
+  requestTimeout: 30000, // milliseconds
+
+  // 'token': credentials are exchanged once for a bearer token
+  // 'basic': HTTP Basic credentials are sent on every request
+  authMode: 'token',
+  //authMode: 'basic'
+
+  // the languages the user can choose, each one with a catalog in js/i18n
+  // (but the default language)
+  languages: [{
+    code: 'en',
+    name: 'English'
+  }, {
+    code: 'es',
+    name: 'Spanish'
+  }],
+
+  // false, or 'log' or 'highlight' the untranslated messages, see I18n.debug
+  i18nDebug: false
 }
 
 Handlebars.templates = {};
+I18n.debug = AppConfig.i18nDebug;
 Promise.all([
-    I18n.initializeCurrentLanguage('js/i18n'),
-    loadTextFile('templates/components/main.hbs').then((source) =>
-      Handlebars.templates.main = Handlebars.compile(source)),
-    loadTextFile('templates/components/language.hbs').then((source) =>
-      Handlebars.templates.language = Handlebars.compile(source)),
-    loadTextFile('templates/components/user.hbs').then((source) =>
-      Handlebars.templates.user = Handlebars.compile(source)),
-    loadTextFile('templates/components/login.hbs').then((source) =>
-      Handlebars.templates.login = Handlebars.compile(source)),
-    loadTextFile('templates/components/posts-table.hbs').then((source) =>
-      Handlebars.templates.poststable = Handlebars.compile(source)),
-    loadTextFile('templates/components/post-edit.hbs').then((source) =>
-      Handlebars.templates.postedit = Handlebars.compile(source)),
-    loadTextFile('templates/components/post-view.hbs').then((source) =>
-      Handlebars.templates.postview = Handlebars.compile(source)),
-    loadTextFile('templates/components/post-row.hbs').then((source) =>
-      Handlebars.templates.postrow = Handlebars.compile(source))
+    I18n.initializeCurrentLanguage('js/i18n', AppConfig.languages.map((language) => language.code)),
+    // the templates of the pages loaded on demand are declared in their routes,
+    // see MainComponent
+    ResourceLoader.getInstance().loadTemplates({
+      main: 'templates/components/main.hbs',
+      language: 'templates/components/language.hbs',
+      notifications: 'templates/components/notifications.hbs',
+      user: 'templates/components/user.hbs',
+      login: 'templates/components/login.hbs',
+      poststable: 'templates/components/posts-table.hbs',
+      postview: 'templates/components/post-view.hbs',
+      postrow: 'templates/components/post-row.hbs',
+      notfound: 'templates/components/not-found.hbs',
+      error: 'templates/components/error.hbs',
+      loading: 'templates/components/loading.hbs'
+    })
   ])
-  .then(() => {
+  .then((results) => {
     $(() => {
-      new MainComponent().start();
+      var mainComponent = new MainComponent();
+      mainComponent.start();
+      mainComponent.notifyTranslationErrors(results[0]);
     });
   }).catch((err) => {
     alert('FATAL: could not start app ' + err);
@@ -0,0 +1,545 @@
+/**
+ * The Fronty.RouterComponent, extended with route guards, leave confirmation
+ * and not-found and error pages.
+ *
+ * A guard is a function registered under a name with addRouteGuard(). Routes
+ * declaring that name in the router config (e.g. requiresAuth: true) are only
+ * shown if the guard allows it.
+ *
+ * Before leaving a page, its component is asked via its canLeave() method, if
+ * it has one. Returning false vetoes the navigation, e.g. when there are
+ * unsaved changes.
+ *
+ * Routes in the router config are patterns, where ':name' segments are route
+ * parameters (e.g. 'post/:id', see getRouteParam()). Routes may also have a
+ * name, used to build their URLs with buildRoute() (e.g. buildRoute('view-post',
+ * {id: 1}) gives 'post/1').
+ *
+ * Routes may be nested via their children config. The component of a parent
+ * route is a layout, rendering its child routes in the element whose id is its
+ * outlet config. Child patterns are relative to the parent one, with '' for
+ * the parent URL itself. A layout is kept while moving between its children,
+ * and guards apply to every child. A title (a String or a function receiving
+ * the route parameters) may be given at every level, and they are joined in the
+ * document title.
+ *
+ * Instead of a component, a route may have a loader: a function returning a
+ * Promise of the component, called the first time the route is shown. The
+ * loadingRoute is shown meanwhile. Or a redirectTo: a route (or a function
+ * receiving the route parameters and returning it) replacing the route, e.g.
+ * to keep old links working.
+ *
+ * The router config may name, besides the defaultRoute, a notFoundRoute shown
+ * for unknown routes, an errorRoute shown by showError() and a loadingRoute.
+ *
+ * Routes are kept in the URL hash (index.html#post/1) by default. With
+ * routingMode: 'history' in the router config, they are kept in the URL path
+ * instead (/post/1), relative to the document base URL. Links to '#route' are
+ * then handled by the router too.
+ */
+class AppRouterComponent extends Fronty.RouterComponent {
+  constructor(rootHtmlId, modelRenderer, routeContentsHtmlId, model) {
+    super(rootHtmlId, modelRenderer, routeContentsHtmlId, model);
+    this.routeGuards = {};
+    this.routeError = null;
+    this.routingMode = 'hash';
+    this._routePatterns = [];
+    this._shownLevels = []; // the routes being shown, from the outermost: [{route, path}]
+    this._leaveConfirmed = false; // by the pages being left, in the current navigation
+
+    // hash changes are already listened by Fronty.RouterComponent
+    window.addEventListener('popstate', () => {
+      if (this.routingMode === 'history') {
+        this._onRouteChanged();
+      }
+    });
+    document.addEventListener('click', (event) => {
+      if (this.routingMode === 'history') {
+        this._onLinkClicked(event);
+      }
+    });
+  }
+
+  // Override
+  setRouterConfig(routerConfig) {
+    this.routingMode = routerConfig.routingMode || 'hash';
+    // the directory of the document base URL, e.g. '/mvcblog/frontend/'
+    this.basePath = new URL(document.baseURI).pathname.replace(/[^/]*$/, '');
+
+    this._routePatterns = [];
+    this._addRoutePatterns(routerConfig, '', [], []);
+    // routes without parameters first, so 'post/new' is not taken as 'post/:id'
+    this._routePatterns.sort((a, b) => (a.paramNames.length > 0) - (b.paramNames.length > 0));
+
+    super.setRouterConfig(routerConfig);
+  }
+
+  // Override
+  goToPage(route) {
+    if (this.routingMode === 'history') {
+      window.history.pushState(null, '', this.getRouteUrl(route));
+      this._onRouteChanged();
+    } else {
+      super.goToPage(route);
+    }
+  }
+
+  /**
+   * Changes the current route without going to it, e.g. to reflect in the URL
+   * a change already shown by the current page.
+   *
+   * @param {String} route The new route. Example: 'posts?page=1&q=fronty'
+   */
+  replaceRoute(route) {
+    window.history.replaceState(null, '', this.getRouteUrl(route));
+  }
+
+  /**
+   * Builds a route from its name and parameters.
+   *
+   * @param {String} name The route name (or its pattern, if it has no name).
+   * @param {Object} params The route parameters. Those not in the route
+   * pattern are added as query parameters.
+   * @return {String} The route. Example: buildRoute('view-post', {id: 1,
+   * comments: 'all'}) gives 'post/1?comments=all'.
+   */
+  buildRoute(name, params) {
+    var routePattern = this._routePatterns.find((routePattern) => routePattern.name === name);
+    if (routePattern === undefined) {
+      throw new Error('Unknown route: ' + name);
+    }
+    params = params || {};
+
+    var route = routePattern.pattern.replace(/:(\w+)/g, (param, paramName) => {
+      if (params[paramName] === undefined || params[paramName] === null) {
+        throw new Error('Missing parameter ' + paramName + ' of route ' + name);
+      }
+      return encodeURIComponent(params[paramName]);
+    });
+    var query = Object.keys(params)
+      .filter((paramName) => routePattern.paramNames.indexOf(paramName) == -1 &&
+        params[paramName] !== undefined && params[paramName] !== null && params[paramName] !== '')
+      .map((paramName) => encodeURIComponent(paramName) + '=' + encodeURIComponent(params[paramName]))
+      .join('&');
+    return query ? route + '?' + query : route;
+  }
+
+  /**
+   * Gets a parameter of the current route pattern. For example, with the route
+   * 'post/:id', getRouteParam('id') in 'post/1' returns '1'.
+   *
+   * @param {String} name The parameter name.
+   * @return {String} The parameter value, or null if there is not such
+   * parameter.
+   */
+  getRouteParam(name) {
+    var match = this._matchRoute(this.getCurrentPage());
+    if (match === null || match.params[name] === undefined) {
+      return null;
+    }
+    return match.params[name];
+  }
+
+  /**
+   * Checks whether the current route, or any of its parents, has the given
+   * name, e.g. to highlight the links to it.
+   *
+   * @param {String} name The route name.
+   * @return {Boolean} Whether the route is active.
+   */
+  isRouteActive(name) {
+    var match = this._matchRoute(this.getCurrentPage());
+    return match !== null && match.routes.some((route) => route.name === name);
+  }
+
+  /**
+   * Gets the URL of a route, as used in links.
+   *
+   * @param {String} route The route. Example: 'view-post?id=1'
+   * @return {String} The URL. Example: '#view-post?id=1' or
+   * '/mvcblog/frontend/view-post?id=1', depending on the routing mode.
+   */
+  getRouteUrl(route) {
+    return this.routingMode === 'history' ? this.basePath + route : '#' + route;
+  }
+
+  /**
+   * Adds a route guard. Guards are evaluated in the order they are added.
+   *
+   * @param {String} name The name routes use to declare the guard.
+   * @param {Function} guard A function receiving the route config and returning
+   * (or returning a Promise of) true to show the route, false to stay in the
+   * current one, or another route to redirect to.
+   */
+  addRouteGuard(name, guard) {
+    this.routeGuards[name] = guard;
+  }
+
+  /**
+   * Gets the current route, including its query parameters.
+   * @return {String} The current route. Example: 'view-post?id=1'
+   */
+  getCurrentRoute() {
+    if (this.routingMode !== 'history') {
+      return window.location.hash.substring(1);
+    }
+    var path = window.location.pathname;
+    path = path.indexOf(this.basePath) === 0 ? path.substring(this.basePath.length) : '';
+    return (path === 'index.html' ? '' : path) + window.location.search;
+  }
+
+  // Override, so query parameters are read in both routing modes
+  getRouteQueryParam(name) {
+    var query = this.getCurrentRoute().replace(/^[^?]*/, '');
+    var results = new RegExp('[?&]' + name.replace(/[\[\]]/g, '\\$&') + '(=([^&#]*)|&|#|$)').exec(query);
+    if (!results) {
+      return null;
+    }
+    try {
+      return results[2] ? decodeURIComponent(results[2].replace(/\+/g, ' ')) : '';
+    } catch (e) {
+      // a malformed escape
+      return null;
+    }
+  }
+
+  /**
+   * Shows the notFoundRoute page, keeping the current URL.
+   */
+  showNotFound() {
+    if (this.routes.notFoundRoute) {
+      this._showRoute(this.routes[this.routes.notFoundRoute]);
+    }
+  }
+
+  /**
+   * Shows the errorRoute page, keeping the current URL.
+   *
+   * @param {ApiError} error The error, available to the error page via
+   * {@link AppRouterComponent#getRouteError}.
+   */
+  showError(error) {
+    this.routeError = error;
+    if (this.routes.errorRoute) {
+      this._showRoute(this.routes[this.routes.errorRoute]);
+    }
+  }
+
+  /**
+   * Shows the not-found page for 404 responses and the error page otherwise.
+   * To be called by pages failing to load the resource they show.
+   *
+   * @param {ApiError} error The error loading the resource.
+   */
+  showResourceError(error) {
+    if (error.status == 404) {
+      this.showNotFound();
+    } else {
+      this.showError(error);
+    }
+  }
+
+  getRouteError() {
+    return this.routeError;
+  }
+
+  // Override
+  _goToCurrentPage() {
+    // the hash may change again while a guard is being resolved
+    var navigation = this._navigation = {};
+    this.routeError = null;
+
+    var currentPage = this.getCurrentPage();
+    if (!currentPage) {
+      return;
+    }
+
+    var match = this._matchRoute(currentPage);
+    if (match !== null && match.route.redirectTo) {
+      var redirectTo = match.route.redirectTo;
+      this._redirectTo(typeof redirectTo === 'function' ? redirectTo(match.params) : redirectTo);
+      return;
+    }
+
+    if (!this._confirmLeave(this._shownLevels.slice(match === null ? 0 : this._countKeptLevels(match)))) {
+      this._restoreShownRoute();
+      return;
+    }
+
+    if (match === null) {
+      this.showNotFound();
+      return;
+    }
+    var route = match.route;
+
+    var guardNames = Object.keys(this.routeGuards)
+      .filter((name) => match.routes.some((route) => route[name]));
+    if (guardNames.length === 0) {
+      this._loadAndShowMatch(match, navigation);
+      return;
+    }
+
+    guardNames.reduce((promise, name) => promise.then((result) => {
+        return result === true ? this.routeGuards[name](route) : result;
+      }), Promise.resolve(true))
+      .then((result) => {
+        if (navigation !== this._navigation) {
+          return;
+        }
+        if (result === true) {
+          this._loadAndShowMatch(match, navigation);
+        } else if (typeof result === 'string') {
+          this._redirectTo(result);
+        } else {
+          this._restoreShownRoute();
+        }
+      })
+      .catch((error) => {
+        if (navigation === this._navigation) {
+          this.showError(error);
+        }
+      });
+  }
+
+  // asks the components of the levels being left via canLeave(). Once they
+  // allow it, they are not asked again until another page is shown, e.g. if
+  // the navigation is redirected by a guard
+  _confirmLeave(levels) {
+    if (this._leaveConfirmed) {
+      return true;
+    }
+    if (levels.some((level) => level.route.component.canLeave && !level.route.component.canLeave())) {
+      return false;
+    }
+    this._leaveConfirmed = true;
+    return true;
+  }
+
+  // the URL has already changed, put back the one of the page being kept
+  _restoreShownRoute() {
+    this._leaveConfirmed = false;
+    if (this._shownRoute === undefined) {
+      // nothing shown yet, there is no page to stay in
+      if (this.getCurrentPage() !== this.routes.defaultRoute) {
+        this._redirectTo(this.routes.defaultRoute);
+      }
+      return;
+    }
+    this._routerModel.currentPage = this._shownPage;
+    this.replaceRoute(this._shownRoute);
+  }
+
+  // shows a route outside of the route patterns, such as the not-found page
+  _showRoute(route) {
+    this._showMatch({
+      route: route,
+      routes: [route],
+      paths: [null],
+      params: {}
+    });
+  }
+
+  // loads the components of the matched routes that are not loaded yet
+  _loadAndShowMatch(match, navigation) {
+    var firstUnloaded = match.routes.findIndex((route) => !route.component);
+    if (firstUnloaded == -1) {
+      this._showMatch(match);
+      return;
+    }
+
+    var loadingRoute = this.routes[this.routes.loadingRoute];
+    if (loadingRoute) {
+      // in the outlet of the innermost loaded layout
+      this._showMatch({
+        route: loadingRoute,
+        routes: match.routes.slice(0, firstUnloaded).concat([loadingRoute]),
+        paths: match.paths.slice(0, firstUnloaded).concat([null]),
+        params: match.params
+      });
+    }
+
+    match.routes.slice(firstUnloaded).reduce((promise, route) => promise.then(() => {
+        if (!route._loading) {
+          route._loading = route.loader().then((component) => {
+            route.component = component;
+          }, (error) => {
+            delete route._loading; // allow retrying
+            throw error;
+          });
+        }
+        return route._loading;
+      }), Promise.resolve())
+      .then(() => {
+        if (navigation === this._navigation) {
+          this._showMatch(match);
+        }
+      })
+      .catch((error) => {
+        if (navigation === this._navigation) {
+          this.showError(error);
+        }
+      });
+  }
+
+  _showMatch(match) {
+    this._leaveConfirmed = false;
+    this._shownPage = this.getCurrentPage();
+    this._shownRoute = this.getCurrentRoute();
+
+    var titles = match.routes
+      .map((route) => typeof route.title === 'function' ? route.title(match.params) : route.title)
+      .filter((title) => title);
+    if (titles.length > 0) {
+      // the innermost first
+      document.title = titles.reverse().join(' - ');
+    }
+
+    // stop the components of the previous route, from the innermost, except
+    // the layouts shared with the new one
+    var kept = this._countKeptLevels(match);
+    for (var i = this._shownLevels.length - 1; i >= kept; i--) {
+      var component = this._shownLevels[i].route.component;
+      component.stop();
+      this._getLevelParent(this._shownLevels, i).removeChildComponent(component);
+    }
+
+    this._shownLevels = match.routes.map((route, level) => ({
+      route: route,
+      path: match.paths[level]
+    }));
+
+    // start the new ones, each one in the outlet of its parent
+    for (var j = kept; j < this._shownLevels.length; j++) {
+      var newComponent = this._shownLevels[j].route.component;
+      newComponent.setHtmlNodeId(j === 0 ? this.pageHtmlId : this._shownLevels[j - 1].route.outlet);
+      this._getLevelParent(this._shownLevels, j).addChildComponent(newComponent);
+    }
+    this.currentComponent = this._shownLevels[0].route.component;
+  }
+
+  // the layouts of the shown route that the matched one also has, at the same
+  // path. The innermost component is always restarted.
+  _countKeptLevels(match) {
+    var kept = 0;
+    while (kept < this._shownLevels.length - 1 && kept < match.routes.length - 1 &&
+      this._shownLevels[kept].route === match.routes[kept] &&
+      this._shownLevels[kept].path === match.paths[kept]) {
+      kept++;
+    }
+    return kept;
+  }
+
+  _getLevelParent(levels, level) {
+    return level === 0 ? this : levels[level - 1].route.component;
+  }
+
+  // Override
+  _calculateCurrentPage() {
+    if (this.routingMode === 'history' && window.location.hash.length > 1) {
+      // '#route' URLs, from bookmarks or links opened in a new tab
+      this.replaceRoute(window.location.hash.substring(1));
+    }
+    var currentPage = this.getCurrentRoute().replace(/\?.*/, '');
+    if (currentPage.length === 0 && this.routes.defaultRoute) {
+      currentPage = this.routes.defaultRoute;
+    }
+    return currentPage;
+  }
+
+  // adds the patterns of the given routes and of their children. The parent
+  // routes are given from the outermost, with the number of path segments up
+  // to each one.
+  _addRoutePatterns(routes, parentPattern, parentRoutes, parentLengths) {
+    Object.keys(routes)
+      .filter((pattern) => routes[pattern] &&
+        (routes[pattern].component || routes[pattern].loader || routes[pattern].redirectTo))
+      .forEach((pattern) => {
+        var route = routes[pattern];
+        var fullPattern = [parentPattern, pattern].filter((part) => part).join('/');
+        var lengths = parentLengths.concat([fullPattern ? fullPattern.split('/').length : 0]);
+        if (route.children) {
+          this._addRoutePatterns(route.children, fullPattern, parentRoutes.concat([route]), lengths);
+          return;
+        }
+
+        this._routePatterns.push({
+          pattern: fullPattern,
+          route: route,
+          routes: parentRoutes.concat([route]),
+          lengths: lengths,
+          // redirections are not linked to, and may have the pattern of a name
+          name: route.redirectTo ? null : route.name || fullPattern,
+          paramNames: (fullPattern.match(/:\w+/g) || []).map((param) => param.substring(1)),
+          regex: new RegExp('^' + fullPattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/:\w+/g, '([^/]+)') + '$')
+        });
+      });
+  }
+
+  // the route whose pattern matches the given page, its parent routes, their
+  // paths and the route parameters
+  _matchRoute(page) {
+    for (var i = 0; i < this._routePatterns.length; i++) {
+      var routePattern = this._routePatterns[i];
+      var values = routePattern.regex.exec(page);
+      if (values !== null) {
+        var params = {};
+        try {
+          routePattern.paramNames.forEach((paramName, index) => {
+            params[paramName] = decodeURIComponent(values[index + 1]);
+          });
+        } catch (e) {
+          // a malformed escape, like in 'post/%E0', is an unknown route
+          return null;
+        }
+        var pageSegments = page.split('/');
+        return {
+          route: routePattern.route,
+          routes: routePattern.routes,
+          paths: routePattern.lengths.map((length) => pageSegments.slice(0, length).join('/')),
+          params: params
+        };
+      }
+    }
+    return null;
+  }
+
+  // like the hashchange listener of Fronty.RouterComponent
+  _onRouteChanged() {
+    this._routerModel.set(() => {
+      this._routerModel.currentPage = this._calculateCurrentPage();
+    });
+  }
+
+  _onLinkClicked(event) {
+    var link = event.target.closest('a[href]');
+    if (!link || event.defaultPrevented || event.button !== 0 || link.target ||
+      event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) {
+      return;
+    }
+
+    var href = link.getAttribute('href');
+    var url = new URL(link.href);
+    var route;
+    if (/^#./.test(href)) {
+      route = href.substring(1);
+    } else if (url.origin === window.location.origin && url.pathname.indexOf(this.basePath) === 0) {
+      route = url.pathname.substring(this.basePath.length) + url.search;
+    } else {
+      return;
+    }
+    event.preventDefault();
+    this.goToPage(route);
+  }
+
+  // unlike goToPage(), this does not add a history entry, so going back does
+  // not land in the route being redirected from
+  _redirectTo(route) {
+    if (this.routingMode === 'history') {
+      this.replaceRoute(route);
+      this._onRouteChanged();
+    } else {
+      window.location.replace('#' + route);
+    }
+  }
+}
@@ -0,0 +1,25 @@
+class DraftsComponent extends Fronty.ModelComponent {
+  constructor(draftsModel, userModel, router) {
+    super(Handlebars.templates.drafts, draftsModel);
+    this.draftsModel = draftsModel;
+    this.userModel = userModel; // global
+    this.router = router;
+
+    this.draftsService = new DraftsService();
+
+    this.addEventListener('click', '.discard-draft-button', (event) => {
+      if (confirm(I18n.translate('Are you sure?'))) {
+        this.draftsService.deleteDraft(this.userModel.currentUser, event.target.getAttribute('item'));
+        this.updateDrafts();
+      }
+    });
+  }
+
+  onStart() {
+    this.updateDrafts();
+  }
+
+  updateDrafts() {
+    this.draftsModel.setDrafts(this.draftsService.findAllDrafts(this.userModel.currentUser));
+  }
+}
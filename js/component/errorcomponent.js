@@ -0,0 +1,12 @@
+class ErrorComponent extends Fronty.Component {
+  constructor(router) {
+    super(() => {
+      var error = router.getRouteError() || {};
+      return Handlebars.templates.error({
+        error: error,
+        // explained as in the notifications of failed requests
+        message: NotificationModel.getRequestErrorMessage(error)
+      });
+    });
+  }
+}
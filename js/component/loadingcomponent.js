@@ -0,0 +1,5 @@
+class LoadingComponent extends Fronty.Component {
+  constructor() {
+    super(() => Handlebars.templates.loading());
+  }
+}
@@ -1,19 +1,20 @@
 class LoginComponent extends Fronty.ModelComponent {
-  constructor(userModel, router) {
+  constructor(userModel, notificationModel, router) {
     super(Handlebars.templates.login, userModel);
     this.userModel = userModel;
+    this.notificationModel = notificationModel;
     this.userService = new UserService();
     this.router = router;
 
     this.addEventListener('click', '#loginbutton', (event) => {
       this.userService.login($('#login').val(), $('#password').val())
         .then(() => {
-          this.router.goToPage('posts');
           this.userModel.setLoggeduser($('#login').val());
+          this.router.goToPage(this.router.getRouteQueryParam('returnTo') || 'posts');
         })
         .catch((error) => {
           this.userModel.set((model) => {
-            model.loginError = error.responseText;
+            model.loginError = error.message;
           });
           this.userModel.logout();
         });
@@ -31,19 +32,19 @@ class LoginComponent extends Fronty.ModelComponent {
           password: $('#registerpassword').val()
         })
         .then(() => {
-          alert(I18n.translate('User registered! Please login'));
+          this.notificationModel.success('User registered! Please login');
           this.userModel.set((model) => {
             model.registerErrors = {};
             model.registerMode = false;
           });
         })
-        .fail((xhr, errorThrown, statusText) => {
-          if (xhr.status == 400) {
+        .catch((error) => {
+          if (error.status == 400) {
             this.userModel.set(() => {
-              this.userModel.registerErrors = xhr.responseJSON;
+              this.userModel.registerErrors = error.body;
             });
           } else {
-            alert('an error has occurred during request: ' + statusText + '.' + xhr.responseText);
+            this.notificationModel.notifyRequestError(error);
           }
         });
     });
@@ -1,4 +1,4 @@
-class MainComponent extends Fronty.RouterComponent {
+class MainComponent extends AppRouterComponent {
   constructor() {
     super('frontyapp', Handlebars.templates.main, 'maincontent');
 
@@ -6,38 +6,216 @@ class MainComponent extends Fronty.RouterComponent {
     // we can instantiate models at any place
     this.userModel = new UserModel();
     this.postsModel = new PostsModel();
+    this.tagsModel = new TagsModel();
+    this.notificationModel = new NotificationModel();
+    this.draftsModel = new DraftsModel();
+    this.profileModel = new ProfileModel();
+    this.localeModel = new LocaleModel(AppConfig.languages, I18n.language);
     this.userService = new UserService();
+    this.postsService = new PostsService();
+
+    this.addRouteGuard('requiresAuth', () => {
+      if (this.userModel.isLogged) {
+        return true;
+      }
+      return this.buildRoute('login', {
+        returnTo: this.getCurrentRoute()
+      });
+    });
+
+    UserService.addSessionExpiredListener(() => {
+      if (!this.userModel.isLogged) {
+        return;
+      }
+      this.userModel.logout();
+      this.notificationModel.warning('Your session has expired. Please login again');
+      // nothing could be saved anymore, leave without asking
+      this._leaveConfirmed = true;
+      this.goToPage(this.buildRoute('login', {
+        returnTo: this.getCurrentRoute()
+      }));
+    });
+
+    this.addRouteGuard('requiresOwner', () => {
+      var postId = this.getRouteParam('id');
+      return this.postsService.findPost(postId)
+        .then((post) => {
+          if (post.author_id == this.userModel.currentUser) {
+            return true;
+          }
+          this.notificationModel.warning('You are not allowed to do that');
+          return this.buildRoute('view-post', {
+            id: postId
+          });
+        })
+        // let the page itself deal with failures
+        .catch(() => true);
+    });
+
+    this.addRouteGuard('requiresSelf', () => {
+      var login = this.getRouteParam('login');
+      if (login == this.userModel.currentUser) {
+        return true;
+      }
+      this.notificationModel.warning('You are not allowed to do that');
+      return this.buildRoute('profile', {
+        login: login
+      });
+    });
 
     super.setRouterConfig({
       posts: {
-        component: new PostsComponent(this.postsModel, this.userModel, this),
+        component: new PostsComponent(this.postsModel, this.userModel, this.notificationModel, this),
         title: 'Posts'
       },
-      'view-post': {
-        component: new PostViewComponent(this.postsModel, this.userModel, this),
+      'post/new': {
+        name: 'add-post',
+        loader: this._loadComponent(MainComponent.EDITOR_RESOURCES, () =>
+          new PostAddComponent(this.postsModel, this.tagsModel, this.userModel, this.notificationModel, this)),
+        title: 'Add Post',
+        requiresAuth: true
+      },
+      'post/:id': {
+        name: 'view-post',
+        component: new PostViewComponent(this.postsModel, this.userModel, this.notificationModel, this),
         title: 'Post'
       },
-      'edit-post': {
-        component: new PostEditComponent(this.postsModel, this.userModel, this),
-        title: 'Edit Post'
+      'post/:id/edit': {
+        name: 'edit-post',
+        loader: this._loadComponent(MainComponent.EDITOR_RESOURCES, () =>
+          new PostEditComponent(this.postsModel, this.tagsModel, this.userModel, this.notificationModel, this)),
+        title: 'Edit Post',
+        requiresAuth: true,
+        requiresOwner: true
       },
+      'tag/:name': {
+        name: 'tag',
+        loader: this._loadComponent({
+          scripts: ['js/component/tagpostscomponent.js'],
+          templates: {
+            tagposts: 'templates/components/tag-posts.hbs'
+          }
+        }, () => new TagPostsComponent(this.tagsModel, this.userModel, this.notificationModel, this)),
+        title: 'Tag'
+      },
+      'user/:login': {
+        loader: this._loadComponent({
+          scripts: ['js/component/profilecomponent.js'],
+          templates: {
+            profile: 'templates/components/profile.hbs'
+          }
+        }, () => new ProfileComponent(this.profileModel, this.userModel, this)),
+        outlet: 'profile-content',
+        title: (params) => params.login,
+        children: {
+          '': {
+            name: 'profile',
+            loader: this._loadComponent({
+              scripts: ['js/component/profilepostscomponent.js'],
+              templates: {
+                profileposts: 'templates/components/profile-posts.hbs'
+              }
+            }, () => new ProfilePostsComponent(this.profileModel, this.userModel, this.notificationModel, this)),
+            title: 'Posts'
+          },
+          comments: {
+            name: 'profile-comments',
+            loader: this._loadComponent({
+              scripts: ['js/component/profilecommentscomponent.js'],
+              templates: {
+                profilecomments: 'templates/components/profile-comments.hbs'
+              }
+            }, () => new ProfileCommentsComponent(this.profileModel, this.notificationModel, this)),
+            title: 'Comments'
+          },
+          drafts: {
+            name: 'profile-drafts',
+            loader: this._loadComponent({
+              scripts: ['js/service/draftsservice.js', 'js/component/draftscomponent.js'],
+              templates: {
+                drafts: 'templates/components/drafts.hbs'
+              }
+            }, () => new DraftsComponent(this.draftsModel, this.userModel, this)),
+            title: 'My drafts',
+            requiresAuth: true,
+            requiresSelf: true
+          },
+          settings: {
+            name: 'profile-settings',
+            loader: this._loadComponent({
+              scripts: ['js/component/profilesettingscomponent.js'],
+              templates: {
+                profilesettings: 'templates/components/profile-settings.hbs'
+              }
+            }, () => new ProfileSettingsComponent(this.localeModel, this.notificationModel, this)),
+            title: 'Settings',
+            requiresAuth: true,
+            requiresSelf: true
+          }
+        }
+      },
+      // the routes of older versions, so that their links keep working
       'add-post': {
-        component: new PostAddComponent(this.postsModel, this.userModel, this),
-        title: 'Add Post'
+        redirectTo: 'post/new'
+      },
+      'view-post': {
+        redirectTo: () => this._legacyRoute('view-post', 'id')
+      },
+      'edit-post': {
+        redirectTo: () => this._legacyRoute('edit-post', 'id')
+      },
+      tag: {
+        redirectTo: () => this._legacyRoute('tag', 'name')
+      },
+      drafts: {
+        redirectTo: () => this.userModel.isLogged ? this.buildRoute('profile-drafts', {
+          login: this.userModel.currentUser
+        }) : this.buildRoute('login', {
+          returnTo: 'drafts'
+        })
       },
       login: {
-        component: new LoginComponent(this.userModel, this),
+        component: new LoginComponent(this.userModel, this.notificationModel, this),
         title: 'Login'
       },
-      defaultRoute: 'posts'
+      'not-found': {
+        component: new NotFoundComponent(this),
+        title: 'Page not found'
+      },
+      error: {
+        component: new ErrorComponent(this),
+        title: 'Error'
+      },
+      loading: {
+        component: new LoadingComponent()
+      },
+      // 'hash' URLs (index.html#posts) work with any static server, 'history'
+      // ones (/posts) need some server configuration, see README.md
+      routingMode: 'hash',
+      defaultRoute: 'posts',
+      notFoundRoute: 'not-found',
+      errorRoute: 'error',
+      loadingRoute: 'loading'
     });
 
     Handlebars.registerHelper('currentPage', () => {
           return super.getCurrentPage();
     });
 
+    // {{routeUrl 'view-post' id=id}}
+    Handlebars.registerHelper('routeUrl', (name, options) => {
+      return this.getRouteUrl(this.buildRoute(name, options.hash));
+    });
+
+    // {{#ifRouteActive 'profile'}}active{{/ifRouteActive}}
+    var router = this;
+    Handlebars.registerHelper('ifRouteActive', function(name, options) {
+      return router.isRouteActive(name) ? options.fn(this) : options.inverse(this);
+    });
+
     this.addChildComponent(this._createUserBarComponent());
     this.addChildComponent(this._createLanguageComponent());
+    this.addChildComponent(this._createNotificationsComponent());
 
   }
 
@@ -54,30 +232,148 @@ class MainComponent extends Fronty.RouterComponent {
       });
   }
 
+  // the route given by a query parameter of an old one, e.g. 'view-post?id=1'
+  // was the route of 'post/1'
+  _legacyRoute(name, param) {
+    var value = this.getRouteQueryParam(param);
+    var params = {};
+    params[param] = value;
+    return value ? this.buildRoute(name, params) : 'not-found';
+  }
+
+  // a route loader, fetching the resources of a component before creating it
+  _loadComponent(resources, createComponent) {
+    return () => ResourceLoader.getInstance().load(resources).then(createComponent);
+  }
+
   _createUserBarComponent() {
     var userbar = new Fronty.ModelComponent(Handlebars.templates.user, this.userModel, 'userbar');
 
     userbar.addEventListener('click', '#logoutbutton', () => {
+      // ask before, as the current page could not be saved once logged out
+      if (!this._confirmLeave(this._shownLevels)) {
+        return;
+      }
       this.userModel.logout();
       this.userService.logout();
+      // leave the current page if it is no longer allowed
+      this._goToCurrentPage();
     });
 
     return userbar;
   }
 
+  _createNotificationsComponent() {
+    var notificationsComponent = new Fronty.ModelComponent(Handlebars.templates.notifications, this.notificationModel, 'notifications');
+
+    notificationsComponent.addEventListener('click', '.dismiss-notification', (event) => {
+      this.notificationModel.dismiss(event.target.getAttribute('item'));
+    });
+
+    return notificationsComponent;
+  }
+
   _createLanguageComponent() {
-    var languageComponent = new Fronty.ModelComponent(Handlebars.templates.language, this.routerModel, 'languagecontrol');
+    var languageComponent = new Fronty.ModelComponent(Handlebars.templates.language, this.localeModel, 'languagecontrol');
     // language change links
-    languageComponent.addEventListener('click', '#englishlink', () => {
-      I18n.changeLanguage('default');
-      document.location.reload();
+    languageComponent.addEventListener('click', '.language-link', (event) => {
+      this.changeLanguage(event.target.getAttribute('item')).catch((error) => {
+        this.notifyPreferencesError(error);
+      });
+    });
+
+    // the language chosen by the user in other browsers
+    this.userModel.addObserver(() => {
+      if (this.userModel.isLogged && this.userModel.currentUser !== this._preferencesUser) {
+        this._preferencesUser = this.userModel.currentUser;
+        this.userService.findPreferences(this.userModel.currentUser)
+          .then((preferences) => {
+            if (preferences.language && preferences.language !== I18n.language &&
+              I18n.languages.indexOf(preferences.language) !== -1) {
+              this._changeLanguage(preferences.language);
+            }
+          })
+          .catch(() => {
+            // keep the current language
+          });
+      } else if (!this.userModel.isLogged) {
+        this._preferencesUser = null;
+      }
     });
 
-    languageComponent.addEventListener('click', '#spanishlink', () => {
-      I18n.changeLanguage('es');
-      document.location.reload();
+    // every component is rendered again with the new translations, keeping
+    // its state
+    this.localeModel.addObserver(() => {
+      this._renderAll(this);
     });
 
     return languageComponent;
   }
+
+  /**
+   * Changes the language, also saving it in the preferences of the logged
+   * user.
+   *
+   * @param {String} language The language tag.
+   * @return {Promise} A Promise resolved when the language is changed and
+   * saved, rejected with the ApiError if it cannot be saved in the backend.
+   */
+  changeLanguage(language) {
+    var saved = !this.userModel.isLogged ? Promise.resolve() :
+      this.userService.savePreferences(this.userModel.currentUser, {
+        language: language
+      });
+    return Promise.all([this._changeLanguage(language), saved]);
+  }
+
+  /**
+   * Warns the user when some translations cannot be loaded, so that part of
+   * the texts are in another language.
+   *
+   * @param {Array} errors The catalogs that cannot be used, as given by I18n.
+   */
+  notifyTranslationErrors(errors) {
+    if (errors.length > 0) {
+      this.notificationModel.warning('Some translations cannot be loaded. Part of the texts may not be in your language');
+    }
+  }
+
+  /**
+   * Tells the user why the preferences cannot be saved in the backend. They
+   * are still kept by the browser.
+   *
+   * @param {ApiError} error The error saving them.
+   */
+  notifyPreferencesError(error) {
+    if (error.status == 404) {
+      this.notificationModel.warning('Settings can only be saved in this browser');
+    } else {
+      this.notificationModel.notifyRequestError(error, 'Settings cannot be saved');
+    }
+  }
+
+  _changeLanguage(language) {
+    return I18n.changeLanguage(language).then((errors) => {
+      this.localeModel.setLanguage(language);
+      this.notifyTranslationErrors(errors);
+    });
+  }
+
+  _renderAll(component) {
+    component.render();
+    component.getChildComponents().forEach((child) => this._renderAll(child));
+  }
 }
+// the post editors, loaded when first adding or editing a post
+MainComponent.EDITOR_RESOURCES = {
+  scripts: [
+    'js/service/draftsservice.js',
+    'js/service/imageservice.js',
+    'js/component/posteditorcomponent.js',
+    'js/component/postaddcomponent.js',
+    'js/component/posteditcomponent.js'
+  ],
+  templates: {
+    postedit: 'templates/components/post-edit.hbs'
+  }
+};
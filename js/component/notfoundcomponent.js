@@ -0,0 +1,7 @@
+class NotFoundComponent extends Fronty.Component {
+  constructor(router) {
+    super(() => Handlebars.templates.notfound({
+      url: router.getRouteUrl(router.getCurrentRoute())
+    }));
+  }
+}
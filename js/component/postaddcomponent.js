@@ -1,36 +1,36 @@
-class PostAddComponent extends Fronty.ModelComponent {
-  constructor(postsModel, userModel, router) {
-    super(Handlebars.templates.postedit, postsModel);
-    this.postsModel = postsModel; // posts
-    
-    this.userModel = userModel; // global
-    this.addModel('user', userModel);
-    this.router = router;
-
-    this.postsService = new PostsService();
+class PostAddComponent extends PostEditorComponent {
+  constructor(postsModel, tagsModel, userModel, notificationModel, router) {
+    super(postsModel, tagsModel, userModel, notificationModel, router);
 
     this.addEventListener('click', '#savebutton', () => {
       var newPost = {};
       newPost.title = $('#title').val();
       newPost.content = $('#content').val();
+      newPost.tags = this.postsModel.editorTags;
       newPost.author_id = this.userModel.currentUser;
       this.postsService.addPost(newPost)
         .then(() => {
+          this._onSaved();
+          this.notificationModel.success('Post saved');
           this.router.goToPage('posts');
         })
-        .fail((xhr, errorThrown, statusText) => {
-          if (xhr.status == 400) {
+        .catch((error) => {
+          if (error.status == 400) {
             this.postsModel.set(() => {
-              this.postsModel.errors = xhr.responseJSON;
+              this.postsModel.errors = error.body;
             });
           } else {
-            alert('an error has occurred during request: ' + statusText + '.' + xhr.responseText);
+            this.notificationModel.notifyRequestError(error, 'Post cannot be saved');
           }
         });
     });
   }
   
   onStart() {
-    this.postsModel.setSelectedPost(new PostModel());
+    this._startEditing(new PostModel());
+  }
+
+  _getDraftId() {
+    return DraftsService.NEW_POST;
   }
 }
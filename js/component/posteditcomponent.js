@@ -1,30 +1,27 @@
-class PostEditComponent extends Fronty.ModelComponent {
-  constructor(postsModel, userModel, router) {
-    super(Handlebars.templates.postedit, postsModel);
-    this.postsModel = postsModel; // posts
-    this.userModel = userModel; // global
-    this.addModel('user', userModel);
-    this.router = router;
-
-    this.postsService = new PostsService();
+class PostEditComponent extends PostEditorComponent {
+  constructor(postsModel, tagsModel, userModel, notificationModel, router) {
+    super(postsModel, tagsModel, userModel, notificationModel, router);
 
     this.addEventListener('click', '#savebutton', () => {
       this.postsModel.selectedPost.title = $('#title').val();
       this.postsModel.selectedPost.content = $('#content').val();
+      this.postsModel.selectedPost.tags = this.postsModel.editorTags;
       this.postsService.savePost(this.postsModel.selectedPost)
         .then(() => {
           this.postsModel.set((model) => {
             model.errors = []
           });
+          this._onSaved();
+          this.notificationModel.success('Post saved');
           this.router.goToPage('posts');
         })
-        .fail((xhr, errorThrown, statusText) => {
-          if (xhr.status == 400) {
+        .catch((error) => {
+          if (error.status == 400) {
             this.postsModel.set((model) => {
-              model.errors = xhr.responseJSON;
+              model.errors = error.body;
             });
           } else {
-            alert('an error has occurred during request: ' + statusText + '.' + xhr.responseText);
+            this.notificationModel.notifyRequestError(error, 'Post cannot be saved');
           }
         });
 
@@ -32,12 +29,23 @@ class PostEditComponent extends Fronty.ModelComponent {
   }
 
   onStart() {
-    var selectedId = this.router.getRouteQueryParam('id');
-    if (selectedId != null) {
-      this.postsService.findPost(selectedId)
+    // kept, since the route has already changed when leaving the page
+    this.postId = this.router.getRouteParam('id');
+    if (this.postId != null) {
+      this.postsService.findPost(this.postId)
         .then((post) => {
-          this.postsModel.setSelectedPost(post);
+          this._startEditing(post);
+        })
+        .catch((error) => {
+          // unless the user has already left this page
+          if (!this.stopped) {
+            this.router.showResourceError(error);
+          }
         });
     }
   }
+
+  _getDraftId() {
+    return this.postId;
+  }
 }
@@ -0,0 +1,357 @@
+// Base class of the components editing posts (PostAddComponent and
+// PostEditComponent), which share the post-edit.hbs template. Subclasses
+// must implement _getDraftId() and call _onSaved() once the post is saved.
+class PostEditorComponent extends Fronty.ModelComponent {
+  constructor(postsModel, tagsModel, userModel, notificationModel, router) {
+    super(Handlebars.templates.postedit, postsModel);
+    this.postsModel = postsModel; // posts
+    this.tagsModel = tagsModel; // tag suggestions
+    this.addModel('tags', tagsModel);
+    this.userModel = userModel; // global
+    this.notificationModel = notificationModel; // global
+    this.addModel('user', userModel);
+    this.router = router;
+
+    this.postsService = new PostsService();
+    this.draftsService = new DraftsService();
+    this.imageService = new ImageService();
+    this._uploadCount = 0;
+
+    // whether there are changes not saved to the backend
+    this.dirty = false;
+
+    this.addEventListener('click', '.markdown-button', (event) => {
+      this._applyMarkdownFormat(event.target.getAttribute('item'));
+      this.dirty = true;
+      this._updatePreview();
+      this._scheduleDraftSave();
+    });
+
+    this.addEventListener('click', '.editor-mode-button', (event) => {
+      this.postsModel.setEditorMode(event.target.getAttribute('item'));
+      this._updatePreview();
+    });
+
+    this.addEventListener('input', '#title', () => this._onTyped());
+    this.addEventListener('input', '#content', () => this._onTyped());
+
+    // picking a suggestion fires a plain Event instead of an InputEvent
+    this.addEventListener('input', '#tag-input', (event) => this._addTypedTags(!(event instanceof InputEvent)));
+    this.addEventListener('change', '#tag-input', () => this._addTypedTags(true));
+
+    this.addEventListener('click', '#image-button', () => {
+      document.getElementById('image-input').click();
+    });
+
+    this.addEventListener('change', '#image-input', (event) => {
+      this._uploadImages(event.target.files);
+      // so the same file can be chosen again
+      event.target.value = '';
+    });
+
+    // images pasted or dropped in the content. These are listened without
+    // addEventListener() of this component, which would prevent the default
+    // action also when pasting or dropping text
+    document.addEventListener('paste', (event) => {
+      if (!this.stopped && event.target.id === 'content') {
+        this._uploadImages(event.clipboardData.files, event);
+      }
+    });
+    document.addEventListener('dragover', (event) => {
+      if (!this.stopped && event.target.id === 'content' &&
+        Array.from(event.dataTransfer.types).indexOf('Files') != -1) {
+        event.preventDefault(); // allows the drop
+      }
+    });
+    document.addEventListener('drop', (event) => {
+      if (!this.stopped && event.target.id === 'content') {
+        this._uploadImages(event.dataTransfer.files, event);
+      }
+    });
+
+    this.addEventListener('click', '.remove-tag-button', (event) => {
+      var removed = event.target.getAttribute('item');
+      this._setTags(this.postsModel.editorTags.filter((tag) => tag !== removed));
+    });
+
+    this.addEventListener('click', '#restoredraftbutton', () => {
+      var draft = this.postsModel.availableDraft;
+      $('#title').val(draft.title);
+      $('#content').val(draft.content);
+      this.postsModel.setEditorTags(draft.tags || []);
+      this.postsModel.setAvailableDraft(null);
+      this.dirty = true;
+      this._updatePreview();
+      this._scheduleDraftSave();
+    });
+
+    this.addEventListener('click', '#discarddraftbutton', () => {
+      this._discardDraft();
+    });
+
+    window.addEventListener('beforeunload', (event) => {
+      if (!this.stopped && this.dirty) {
+        this._saveDraft();
+        // browsers show their own message
+        event.preventDefault();
+        event.returnValue = '';
+      }
+    });
+  }
+
+  // called by the router before leaving this page
+  canLeave() {
+    return !this.dirty || confirm(I18n.translate('There are unsaved changes. Leave anyway?'));
+  }
+
+  onStop() {
+    clearTimeout(this._previewTimeout);
+    this._previewTimeout = null;
+
+    // do not lose what was typed since the last autosave
+    if (this._draftTimeout) {
+      this._saveDraft();
+    }
+    this.dirty = false;
+  }
+
+  // to be called by subclasses once the post to edit is available
+  _startEditing(post) {
+    this.postsModel.setSelectedPost(post);
+    this.postsModel.setEditorTags((post.tags || []).slice());
+    this._updatePreview();
+    // the user may log out while editing, the drafts are still theirs
+    this._draftUser = this.userModel.currentUser;
+    this._checkDraft(post);
+
+    this.postsService.findAllTags()
+      .then((allTags) => {
+        this.tagsModel.setAllTags(allTags);
+      })
+      .catch(() => {
+        // suggestions are not essential to edit the post
+      });
+  }
+
+  // offers restoring the stored draft of the post being edited, if it differs
+  // from the post
+  _checkDraft(post) {
+    var draft = this.draftsService.findDraft(this._draftUser, this._getDraftId());
+    if (draft !== null && (draft.title || '') === (post.title || '') &&
+      (draft.content || '') === (post.content || '') &&
+      (draft.tags || []).join() === (post.tags || []).join()) {
+      this.draftsService.deleteDraft(this._draftUser, this._getDraftId());
+      draft = null;
+    }
+    this.postsModel.setAvailableDraft(draft);
+  }
+
+  _onTyped() {
+    this.dirty = true;
+    this._schedulePreviewUpdate();
+    this._scheduleDraftSave();
+  }
+
+  _scheduleDraftSave() {
+    clearTimeout(this._draftTimeout);
+    this._draftTimeout = setTimeout(() => {
+      this._saveDraft();
+    }, PostEditorComponent.DRAFT_SAVE_DELAY_MS);
+  }
+
+  _saveDraft() {
+    clearTimeout(this._draftTimeout);
+    this._draftTimeout = null;
+    this.draftsService.saveDraft(this._draftUser, this._getDraftId(),
+      $('#title').val(), $('#content').val(), this.postsModel.editorTags);
+  }
+
+  // tags are added when a comma is typed, or all at once when complete (on
+  // enter, leaving the input or picking a suggestion)
+  _addTypedTags(complete) {
+    var input = document.getElementById('tag-input');
+    var typed = input.value.split(',');
+    var pending = complete ? '' : typed.pop();
+    if (typed.length === 0) {
+      return;
+    }
+    input.value = pending;
+
+    var tags = this.postsModel.editorTags.slice();
+    typed.map((tag) => PostEditorComponent.normalizeTag(tag)).forEach((tag) => {
+      if (tag && tags.indexOf(tag) == -1) {
+        tags.push(tag);
+      }
+    });
+    if (tags.length !== this.postsModel.editorTags.length) {
+      this._setTags(tags);
+    }
+  }
+
+  _setTags(tags) {
+    this.postsModel.setEditorTags(tags);
+    this.dirty = true;
+    this._scheduleDraftSave();
+  }
+
+  _onSaved() {
+    this.dirty = false;
+    this._discardDraft();
+  }
+
+  _discardDraft() {
+    clearTimeout(this._draftTimeout);
+    this._draftTimeout = null;
+    this.draftsService.deleteDraft(this._draftUser, this._getDraftId());
+    this.postsModel.setAvailableDraft(null);
+  }
+
+  // renders the preview at most once per PREVIEW_THROTTLE_MS while typing
+  _schedulePreviewUpdate() {
+    if (!this._previewTimeout) {
+      this._previewTimeout = setTimeout(() => {
+        this._previewTimeout = null;
+        this._updatePreview();
+      }, PostEditorComponent.PREVIEW_THROTTLE_MS);
+    }
+  }
+
+  _updatePreview() {
+    this.postsModel.setPreview($('#title').val(), $('#content').val());
+  }
+
+  // event is the paste or drop event the files come from, if any, whose
+  // default action is prevented when there are images
+  _uploadImages(files, event) {
+    var images = Array.from(files).filter((file) => this.imageService.isImage(file));
+    if (images.length > 0 && event) {
+      event.preventDefault();
+    }
+    images.forEach((image) => this._uploadImage(image));
+  }
+
+  // a placeholder is inserted in the content while uploading, and replaced
+  // by the image once uploaded
+  _uploadImage(file) {
+    var upload = {
+      id: ++this._uploadCount,
+      name: file.name || 'image',
+      progress: 0
+    };
+    var placeholder = '![' + I18n.translate('Uploading') + ' ' + upload.name +
+      ' #' + upload.id + '...]()';
+    this._insertInContent(placeholder + '\n');
+    this.postsModel.addUpload(upload);
+
+    this.imageService.resize(file)
+      .then((image) => this.postsService.uploadImage(image, this.imageService.getFileName(upload.name, image), (fraction) => {
+        this.postsModel.setUploadProgress(upload.id, Math.round(fraction * 100));
+      }))
+      .then((url) => {
+        var alt = upload.name.replace(/\.[^.]*$/, '');
+        this._replaceInContent(placeholder, '![' + alt + '](' + url + ')');
+      })
+      .catch((error) => {
+        this._replaceInContent(placeholder + '\n', '');
+        if (error instanceof ApiError) {
+          this.notificationModel.notifyRequestError(error, 'The image cannot be uploaded');
+        } else {
+          this.notificationModel.error(error.message);
+        }
+      })
+      .then(() => {
+        this.postsModel.removeUpload(upload.id);
+      });
+  }
+
+  _insertInContent(text) {
+    var textarea = document.getElementById('content');
+    var start = textarea.selectionStart;
+    textarea.value = textarea.value.substring(0, start) + text +
+      textarea.value.substring(textarea.selectionEnd);
+    textarea.setSelectionRange(start + text.length, start + text.length);
+    this._onTyped();
+  }
+
+  _replaceInContent(text, replacement) {
+    var textarea = document.getElementById('content');
+    // the user may have left the editor or removed the text meanwhile
+    if (this.stopped || !textarea || textarea.value.indexOf(text) == -1) {
+      return;
+    }
+    var index = textarea.value.indexOf(text);
+    var selectionStart = textarea.selectionStart;
+    var selectionEnd = textarea.selectionEnd;
+    textarea.value = textarea.value.substring(0, index) + replacement +
+      textarea.value.substring(index + text.length);
+
+    // keep the caret where it was
+    var shift = (position) => position > index ? position + replacement.length - text.length : position;
+    textarea.setSelectionRange(shift(selectionStart), shift(selectionEnd));
+    this._onTyped();
+  }
+
+  // lowercase, with dashes for anything but letters, digits and underscores,
+  // so tags can be used as is in URLs
+  static normalizeTag(tag) {
+    return tag.trim().toLowerCase()
+      .replace(/[^\p{L}\p{N}_]+/gu, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  _applyMarkdownFormat(formatName) {
+    var format = PostEditorComponent.MARKDOWN_FORMATS[formatName];
+    var textarea = document.getElementById('content');
+    var text = textarea.value;
+    var start = textarea.selectionStart;
+    var end = textarea.selectionEnd;
+    var replacement;
+
+    if (format.linePrefix) {
+      // prefix every selected line, from its beginning
+      start = text.lastIndexOf('\n', start - 1) + 1;
+      replacement = text.substring(start, end).split('\n')
+        .map((line) => format.linePrefix + line).join('\n');
+    } else {
+      var selected = text.substring(start, end) || I18n.translate(format.placeholder);
+      replacement = format.before + selected + format.after;
+    }
+
+    textarea.value = text.substring(0, start) + replacement + text.substring(end);
+    textarea.focus();
+    textarea.setSelectionRange(start, start + replacement.length);
+  }
+}
+PostEditorComponent.PREVIEW_THROTTLE_MS = 250;
+PostEditorComponent.DRAFT_SAVE_DELAY_MS = 1000;
+PostEditorComponent.MARKDOWN_FORMATS = {
+  bold: {
+    before: '**',
+    after: '**',
+    placeholder: 'bold text'
+  },
+  italic: {
+    before: '_',
+    after: '_',
+    placeholder: 'italic text'
+  },
+  code: {
+    before: '`',
+    after: '`',
+    placeholder: 'code'
+  },
+  link: {
+    before: '[',
+    after: '](https://)',
+    placeholder: 'link text'
+  },
+  heading: {
+    linePrefix: '## '
+  },
+  quote: {
+    linePrefix: '> '
+  },
+  list: {
+    linePrefix: '- '
+  }
+};
@@ -1,15 +1,28 @@
 class PostsComponent extends Fronty.ModelComponent {
-  constructor(postsModel, userModel, router) {
+  constructor(postsModel, userModel, notificationModel, router) {
     super(Handlebars.templates.poststable, postsModel, null, null);
     
     
     this.postsModel = postsModel;
     this.userModel = userModel;
+    this.notificationModel = notificationModel;
     this.addModel('user', userModel);
     this.router = router;
 
     this.postsService = new PostsService();
 
+    this.addEventListener('input', '#search-query', () => this._onFiltersTyped());
+    this.addEventListener('input', '#author-filter', () => this._onFiltersTyped());
+
+    this.addEventListener('click', '.sort-link', (event) => {
+      var field = event.target.getAttribute('item');
+      var order = 'asc';
+      if (this.postsModel.sortField === field && this.postsModel.sortOrder === 'asc') {
+        order = 'desc';
+      }
+      this.postsModel.setSort(field, order);
+      this._replaceListRoute();
+    });
   }
 
   onStart() {
@@ -17,30 +30,96 @@ class PostsComponent extends Fronty.ModelComponent {
   }
 
   updatePosts() {
-    this.postsService.findAllPosts().then((data) => {
+    var page = parseInt(this.router.getRouteQueryParam('page'));
+    if (isNaN(page) || page < 1) {
+      page = 1;
+    }
+
+    var query = {
+      q: this.router.getRouteQueryParam('q') || '',
+      author: this.router.getRouteQueryParam('author') || '',
+      sort: this.router.getRouteQueryParam('sort') || '',
+      order: this.router.getRouteQueryParam('order') || 'asc'
+    };
+    this.postsModel.setFilters(query.q, query.author);
+    this.postsModel.setSort(query.sort, query.order);
+    // unknown fields are not sent
+    query.sort = this.postsModel.sortField;
 
-      this.postsModel.setPosts(
-        // create a Fronty.Model for each item retrieved from the backend
-        data.map(
-          (item) => new PostModel(item.id, item.title, item.author_id)
-      ));
+    // responses may arrive out of order while the user types, keep the last
+    var request = this._lastPostsRequest = {};
+    this.postsService.findPostsPage(page, this.postsModel.pageSize, query).then((data) => {
+      if (request !== this._lastPostsRequest) {
+        return;
+      }
+
+      this.postsModel.setPostsPage(
+        data.posts.map((item) => this._toPostModel(item)), page, data.total);
+      if (data.totalUnknown && !this._totalUnknownNotified) {
+        this._totalUnknownNotified = true;
+        this.notificationModel.warning('The number of posts is unknown, some pages may not be listed');
+      }
+    }).catch((error) => {
+      this.notificationModel.notifyRequestError(error, 'Posts cannot be loaded');
     });
   }
 
+  // reuse the PostModel of posts already shown, so their rows are kept and
+  // only moved when the order changes
+  _toPostModel(item) {
+    var post = this.postsModel.posts.find((post) => post.id == item.id);
+    if (post === undefined) {
+      // create a Fronty.Model for each item retrieved from the backend
+      return new PostModel(item.id, item.title, item.author_id, item.tags, item.date);
+    }
+    if (post.title !== item.title) {
+      post.setTitle(item.title);
+    }
+    if (post.author_id !== item.author_id) {
+      post.setAuthor_id(item.author_id);
+    }
+    if (post.tags.join() !== (item.tags || []).join()) {
+      post.setTags(item.tags || []);
+    }
+    if (post.date !== item.date) {
+      post.setDate(item.date);
+    }
+    return post;
+  }
+
+  _onFiltersTyped() {
+    clearTimeout(this._filtersTimeout);
+    this._filtersTimeout = setTimeout(() => {
+      this.postsModel.setFilters($('#search-query').val().trim(), $('#author-filter').val().trim());
+      this._replaceListRoute();
+    }, PostsComponent.FILTERS_DEBOUNCE_MS);
+  }
+
+  _replaceListRoute() {
+    // replace the route without a hashchange, which would restart this
+    // component, re-creating every row and taking the focus away from the
+    // filter being typed
+    this.router.replaceRoute('posts?page=1' + this.postsModel.listQueryString);
+    this.updatePosts();
+  }
+
   // Override
   createChildModelComponent(className, element, id, modelItem) {
-    return new PostRowComponent(modelItem, this.userModel, this.router, this);
+    return new PostRowComponent(modelItem, this.userModel, this.notificationModel, this.router, this);
   }
 }
+PostsComponent.FILTERS_DEBOUNCE_MS = 300;
 
 class PostRowComponent extends Fronty.ModelComponent {
-  constructor(postModel, userModel, router, postsComponent) {
+  constructor(postModel, userModel, notificationModel, router, postsComponent) {
     super(Handlebars.templates.postrow, postModel, null, null);
     
     this.postsComponent = postsComponent;
     
     this.userModel = userModel;
     this.addModel('user', userModel); // a secondary model
+
+    this.notificationModel = notificationModel;
     
     this.router = router;
 
@@ -48,10 +127,13 @@ class PostRowComponent extends Fronty.ModelComponent {
       if (confirm(I18n.translate('Are you sure?'))) {
         var postId = event.target.getAttribute('item');
         this.postsComponent.postsService.deletePost(postId)
-          .fail(() => {
-            alert('post cannot be deleted')
+          .then(() => {
+            this.notificationModel.success('Post deleted');
+          })
+          .catch((error) => {
+            this.notificationModel.notifyRequestError(error, 'Post cannot be deleted');
           })
-          .always(() => {
+          .then(() => {
             this.postsComponent.updatePosts();
           });
       }
@@ -59,7 +141,9 @@ class PostRowComponent extends Fronty.ModelComponent {
 
     this.addEventListener('click', '.edit-button', (event) => {
       var postId = event.target.getAttribute('item');
-      this.router.goToPage('edit-post?id=' + postId);
+      this.router.goToPage(this.router.buildRoute('edit-post', {
+        id: postId
+      }));
     });
   }
 
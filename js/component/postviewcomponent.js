@@ -1,16 +1,17 @@
 class PostViewComponent extends Fronty.ModelComponent {
-  constructor(postsModel, userModel, router) {
+  constructor(postsModel, userModel, notificationModel, router) {
     super(Handlebars.templates.postview, postsModel);
 
     this.postsModel = postsModel; // posts
     this.userModel = userModel; // global
+    this.notificationModel = notificationModel; // global
     this.addModel('user', userModel);
     this.router = router;
 
     this.postsService = new PostsService();
 
     this.addEventListener('click', '#savecommentbutton', () => {
-      var selectedId = this.router.getRouteQueryParam('id');
+      var selectedId = this.router.getRouteParam('id');
       this.postsService.createComment(selectedId, {
           content: $('#commentcontent').val()
         })
@@ -18,20 +19,61 @@ class PostViewComponent extends Fronty.ModelComponent {
           $('#commentcontent').val('');
           this.loadPost(selectedId);
         })
-        .fail((xhr, errorThrown, statusText) => {
-          if (xhr.status == 400) {
+        .catch((error) => {
+          if (error.status == 400) {
             this.postsModel.set(() => {
-              this.postsModel.commentErrors = xhr.responseJSON;
+              this.postsModel.commentErrors = error.body;
             });
           } else {
-            alert('an error has occurred during request: ' + statusText + '.' + xhr.responseText);
+            this.notificationModel.notifyRequestError(error, 'Comment cannot be saved');
           }
         });
     });
+
+    this.addEventListener('click', '.edit-comment-button', (event) => {
+      this.postsModel.setCommentEditing(event.target.getAttribute('item'), true);
+    });
+
+    this.addEventListener('click', '.cancel-comment-button', (event) => {
+      this.postsModel.setCommentEditing(event.target.getAttribute('item'), false);
+    });
+
+    this.addEventListener('click', '.save-comment-button', (event) => {
+      var commentId = event.target.getAttribute('item');
+      var comment = this.postsModel.findComment(commentId);
+      var previousContent = comment.content;
+      var content = $('#editcommentcontent').val();
+
+      // show the change right away, undo it if the backend rejects it
+      this.postsModel.setCommentContent(commentId, content);
+      this.postsService.updateComment(this.postsModel.selectedPost.id, {
+          id: commentId,
+          content: content
+        })
+        .catch((error) => {
+          this.postsModel.setCommentContent(commentId, previousContent);
+          this.notificationModel.notifyRequestError(error, 'Comment cannot be saved');
+        });
+    });
+
+    this.addEventListener('click', '.remove-comment-button', (event) => {
+      if (confirm(I18n.translate('Are you sure?'))) {
+        var commentId = event.target.getAttribute('item');
+        var comment = this.postsModel.findComment(commentId);
+
+        // show the change right away, undo it if the backend rejects it
+        var index = this.postsModel.removeComment(commentId);
+        this.postsService.deleteComment(this.postsModel.selectedPost.id, commentId)
+          .catch((error) => {
+            this.postsModel.insertComment(comment, index);
+            this.notificationModel.notifyRequestError(error, 'Comment cannot be deleted');
+          });
+      }
+    });
   }
 
   onStart() {
-    var selectedId = this.router.getRouteQueryParam('id');
+    var selectedId = this.router.getRouteParam('id');
     this.loadPost(selectedId);
   }
 
@@ -40,6 +82,12 @@ class PostViewComponent extends Fronty.ModelComponent {
       this.postsService.findPost(postId)
         .then((post) => {
           this.postsModel.setSelectedPost(post);
+        })
+        .catch((error) => {
+          // unless the user has already left this page
+          if (!this.stopped) {
+            this.router.showResourceError(error);
+          }
         });
     }
   }
@@ -0,0 +1,28 @@
+class ProfileCommentsComponent extends Fronty.ModelComponent {
+  constructor(profileModel, notificationModel, router) {
+    super(Handlebars.templates.profilecomments, profileModel);
+    this.profileModel = profileModel;
+    this.notificationModel = notificationModel; // global
+    this.router = router;
+
+    this.postsService = new PostsService();
+  }
+
+  onStart() {
+    this.updateComments();
+  }
+
+  updateComments() {
+    this.postsService.findCommentsByAuthor(this.router.getRouteParam('login'))
+      .then((comments) => {
+        this.profileModel.setComments(comments);
+      })
+      .catch((error) => {
+        if (error.status == 404) {
+          this.profileModel.setCommentsUnavailable();
+          return;
+        }
+        this.notificationModel.notifyRequestError(error, 'Comments cannot be loaded');
+      });
+  }
+}
@@ -0,0 +1,15 @@
+// Layout of the pages of a user profile, with a tab per child route
+class ProfileComponent extends Fronty.ModelComponent {
+  constructor(profileModel, userModel, router) {
+    super(Handlebars.templates.profile, profileModel);
+    this.profileModel = profileModel;
+    this.addModel('user', userModel);
+    // so the active tab is updated when moving between tabs
+    this.addModel('router', router.getRouterModel());
+    this.router = router;
+  }
+
+  onStart() {
+    this.profileModel.setLogin(this.router.getRouteParam('login'));
+  }
+}
@@ -0,0 +1,36 @@
+class ProfilePostsComponent extends Fronty.ModelComponent {
+  constructor(profileModel, userModel, notificationModel, router) {
+    super(Handlebars.templates.profileposts, profileModel);
+    this.profileModel = profileModel;
+    this.userModel = userModel; // global
+    this.notificationModel = notificationModel; // global
+    this.addModel('user', userModel);
+    this.router = router;
+
+    this.postsService = new PostsService();
+  }
+
+  onStart() {
+    this.updatePosts();
+  }
+
+  updatePosts() {
+    var login = this.router.getRouteParam('login');
+    this.postsService.findPostsPage(1, ProfilePostsComponent.MAX_POSTS, {
+        author: login
+      })
+      .then((data) => {
+        this.profileModel.setPosts(data.posts.map((item) =>
+          new PostModel(item.id, item.title, item.author_id, item.tags, item.date)), data.total);
+      })
+      .catch((error) => {
+        this.notificationModel.notifyRequestError(error, 'Posts cannot be loaded');
+      });
+  }
+
+  // Override
+  createChildModelComponent(className, element, id, modelItem) {
+    return new PostRowComponent(modelItem, this.userModel, this.notificationModel, this.router, this);
+  }
+}
+ProfilePostsComponent.MAX_POSTS = 10;
@@ -0,0 +1,18 @@
+// The settings of the logged user, which are kept in the backend
+class ProfileSettingsComponent extends Fronty.ModelComponent {
+  constructor(localeModel, notificationModel, router) {
+    super(Handlebars.templates.profilesettings, localeModel);
+    this.notificationModel = notificationModel; // global
+    this.router = router;
+
+    this.addEventListener('click', '#save-settings-button', () => {
+      this.router.changeLanguage($('#language-setting').val())
+        .then(() => {
+          this.notificationModel.success('Settings saved');
+        })
+        .catch((error) => {
+          this.router.notifyPreferencesError(error);
+        });
+    });
+  }
+}
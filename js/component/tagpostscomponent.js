@@ -0,0 +1,33 @@
+class TagPostsComponent extends Fronty.ModelComponent {
+  constructor(tagsModel, userModel, notificationModel, router) {
+    super(Handlebars.templates.tagposts, tagsModel);
+    this.tagsModel = tagsModel;
+    this.userModel = userModel; // global
+    this.notificationModel = notificationModel; // global
+    this.addModel('user', userModel);
+    this.router = router;
+
+    this.postsService = new PostsService();
+  }
+
+  onStart() {
+    this.updatePosts();
+  }
+
+  updatePosts() {
+    var tag = this.router.getRouteParam('name') || '';
+    this.postsService.findPostsByTag(tag)
+      .then((posts) => {
+        this.tagsModel.setTagPosts(tag, posts.map((item) =>
+          new PostModel(item.id, item.title, item.author_id, item.tags, item.date)));
+      })
+      .catch((error) => {
+        this.notificationModel.notifyRequestError(error, 'Posts cannot be loaded');
+      });
+  }
+
+  // Override
+  createChildModelComponent(className, element, id, modelItem) {
+    return new PostRowComponent(modelItem, this.userModel, this.notificationModel, this.router, this);
+  }
+}
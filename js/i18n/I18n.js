@@ -1,7 +1,13 @@
 Handlebars.registerHelper('i18n', function(key, opts) {
   if (typeof key == "string") {
-    // inline - mode {{i18n 'key'}}
-    return new Handlebars.SafeString(I18n.translate(key));
+    // inline - mode {{i18n 'key'}}, or {{i18n 'key' name=value}} with
+    // parameters, which are escaped (but numbers, formatted by translate)
+    var params = {};
+    Object.keys(opts.hash).forEach((name) => {
+      var value = opts.hash[name];
+      params[name] = typeof value === 'number' ? value : Handlebars.escapeExpression(value);
+    });
+    return new Handlebars.SafeString(I18n.translate(key, params));
   } else {
     // block - mode {{#i18n}}contents{{/i18n}} 
     return new Handlebars.SafeString(I18n.translate(key.fn(this)));
@@ -10,10 +16,79 @@ Handlebars.registerHelper('i18n', function(key, opts) {
 
 // detect current language
 
+/**
+ * Messages are translated by their key, the English message. Messages may
+ * have {name} placeholders, replaced by the given parameters.
+ *
+ * Messages depending on a number (the count parameter) have a translation per
+ * CLDR plural category of the language (zero, one, two, few, many and
+ * other), e.g. {one: '{count} comment', other: '{count} comments'}. As there
+ * is no English message in their key, their English translations are in the
+ * default catalog.
+ *
+ * Translations are loaded from JSON catalogs named after their language
+ * (default.json, es.json, es-AR.json...). A regional language falls back to
+ * its base language, and then to the default catalog, e.g. es-AR uses the
+ * messages of es-AR.json, es.json and default.json, in that order.
+ */
 class I18n {
-  static initializeCurrentLanguage(messagesBasePath) {
+  /**
+   * Loads the translations of the language the user chose, if any, or else
+   * the best of the available languages for the browser languages.
+   *
+   * @param {String} messagesBasePath The URL of the catalogs folder.
+   * @param {Array} languages The available language tags.
+   * @return {Promise} A Promise resolved when the translations are loaded,
+   * never rejected. It is resolved with the catalogs that cannot be used,
+   * [{url, error}], as the messages then fall back to the next catalog in the
+   * chain (or to their keys).
+   */
+  static initializeCurrentLanguage(messagesBasePath, languages) {
+    I18n.messagesBasePath = messagesBasePath;
+    I18n.languages = languages || [I18n.DEFAULT_LANGUAGE];
     I18n.translations = {};
+    I18n._languageTranslations = {};
+    I18n.language = I18n.DEFAULT_LANGUAGE;
 
+    var requested = navigator.languages || [navigator.language];
+    var stored = I18n._getStoredLanguage();
+    if (stored) {
+      requested = [stored].concat(requested);
+    }
+    return I18n._loadLanguage(I18n.negotiateLanguage(requested, I18n.languages) || I18n.DEFAULT_LANGUAGE);
+  }
+
+  /**
+   * Chooses the available language best matching the requested ones, i.e.
+   * the first requested language available, or else with its base language
+   * (es for es-AR) or a regional variant (es-AR for es) available.
+   *
+   * @param {Array} requested The requested language tags, the preferred first.
+   * @param {Array} available The available language tags.
+   * @return {String} The chosen language tag, or null if none matches.
+   */
+  static negotiateLanguage(requested, available) {
+    var candidates = available.map((language) => language.toLowerCase());
+    var base = (language) => language.split('-')[0];
+
+    for (var i = 0; i < requested.length; i++) {
+      var language = String(requested[i]).toLowerCase();
+      var index = candidates.indexOf(language);
+      if (index === -1) {
+        index = candidates.indexOf(base(language));
+      }
+      if (index === -1) {
+        index = candidates.findIndex((candidate) => base(candidate) === base(language));
+      }
+      if (index !== -1) {
+        return available[index];
+      }
+    }
+    return null;
+  }
+
+  // the language explicitly chosen by the user, see changeLanguage()
+  static _getStoredLanguage() {
     function getCookie(cname) {
       var name = cname + '=';
       var decodedCookie = decodeURIComponent(document.cookie);
@@ -30,13 +105,130 @@ class I18n {
       return '';
     }
 
-    if (getCookie('language') !== '') {
-      return $.get(messagesBasePath + '/' + getCookie('language') + "_messages.js", null, null, 'text').then((source) => eval(source));
-    } else {
-      return new Promise((resolve, reject) => resolve());
+    var language;
+    try {
+      language = getCookie('language') || window.localStorage.getItem('language');
+    } catch (e) {
+      // storage disabled, or a malformed cookie
+      return null;
     }
+    return I18n.LANGUAGE_TAG.test(language) ? language : null;
   }
 
+  /**
+   * Gets the catalogs used by a language, the most specific first.
+   *
+   * @param {String} language The language tag, e.g. 'es-AR'.
+   * @return {Array} The catalog names, e.g. ['es-AR', 'es', 'default'].
+   */
+  static getFallbackChain(language) {
+    var chain = [];
+    var subtags = language.split('-');
+    while (subtags.length && subtags.join('-') !== I18n.DEFAULT_LANGUAGE) {
+      chain.push(subtags.join('-'));
+      subtags.pop();
+    }
+    chain.push('default');
+    return chain;
+  }
+
+  static _loadLanguage(language) {
+    var chain = I18n.getFallbackChain(language);
+    return Promise.all(chain.map((catalog) => I18n._loadCatalog(catalog)))
+      .then((results) => {
+        var catalogs = results.map((result) => result.messages || null);
+        // a missing regional catalog is usual, it just falls back, but the
+        // default catalog and some catalog of the language must be there
+        var someLoaded = catalogs.slice(0, -1).some((catalog) => catalog);
+        var failed = results.filter((result, index) => result.error &&
+          (!result.missing || index === results.length - 1 || !someLoaded));
+
+        // the messages of the language itself, i.e. not in the default catalog
+        I18n._languageTranslations = Object.assign.apply(Object, [{}].concat(catalogs.slice(0, -1).reverse()));
+        I18n.translations = Object.assign.apply(Object, [{}].concat(catalogs.reverse()));
+        I18n.language = language;
+        document.documentElement.lang = language;
+        failed.forEach((result) => I18n._log(result.url + ': ' + result.error));
+        return failed.map((result) => ({
+          url: result.url,
+          error: result.error
+        }));
+      });
+  }
+
+  // resolved with {url, messages}, or {url, error, missing} if the catalog
+  // cannot be used
+  static _loadCatalog(catalog) {
+    var url = I18n.messagesBasePath + '/' + catalog + '.json';
+    return new Promise((resolve) => {
+      // parsed by us, so that malformed catalogs are reported as such
+      $.ajax({
+          url: url,
+          dataType: 'text'
+        })
+        .done((source) => {
+          try {
+            resolve({
+              url: url,
+              messages: I18n.validateCatalog(JSON.parse(source))
+            });
+          } catch (e) {
+            resolve({
+              url: url,
+              error: 'malformed catalog: ' + e.message
+            });
+          }
+        })
+        .fail((xhr) => {
+          resolve({
+            url: url,
+            error: 'cannot load catalog (' + xhr.status + ' ' + xhr.statusText + ')',
+            missing: xhr.status === 404
+          });
+        });
+    });
+  }
+
+  /**
+   * Checks that a catalog maps message keys to translations, each one being a
+   * string, or an object of plural forms with at least the 'other' form.
+   *
+   * @param {Object} catalog The parsed catalog.
+   * @return {Object} The catalog.
+   * @throws {Error} If the catalog is not valid, naming the first wrong key.
+   */
+  static validateCatalog(catalog) {
+    if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+      throw new Error('a catalog must be an object of translations');
+    }
+    Object.keys(catalog).forEach((key) => {
+      var translation = catalog[key];
+      if (typeof translation === 'string') {
+        return;
+      }
+      if (!translation || typeof translation !== 'object' || Array.isArray(translation) ||
+        typeof translation.other !== 'string') {
+        throw new Error('"' + key + '" must be a string or an object of plural forms with an "other" form');
+      }
+      Object.keys(translation).forEach((category) => {
+        if (I18n.PLURAL_CATEGORIES.indexOf(category) === -1 || typeof translation[category] !== 'string') {
+          throw new Error('"' + key + '" has an invalid plural form: ' + category);
+        }
+      });
+    });
+    return catalog;
+  }
+
+  /**
+   * Changes the current language, remembering it for the next visits (in a
+   * cookie, and in localStorage in case cookies are cleared).
+   *
+   * @param {String} languageKey The language tag, or 'default' for the
+   * default language.
+   * @return {Promise} A Promise resolved when the translations of the
+   * language are loaded, with the catalogs that cannot be used, as in
+   * initializeCurrentLanguage(). Components are not rendered again by this.
+   */
   static changeLanguage(languageKey) {
     function setCookie(cname, cvalue, exdays) {
       var d = new Date();
@@ -45,23 +237,85 @@ class I18n {
       document.cookie = cname + "=" + cvalue + ";" + expires + ";path=/";
     }
 
-    function deleteCookie(cname) {
-      document.cookie = cname + '=;expires=Thu, 01 Jan 1970 00:00:01 GMT;path=/';
+    if (languageKey === 'default') {
+      languageKey = I18n.DEFAULT_LANGUAGE;
+    }
+    // the default language is also stored, as it may not be the browser one
+    setCookie('language', languageKey, 365);
+    try {
+      window.localStorage.setItem('language', languageKey);
+    } catch (e) {
+      // storage full or disabled, the cookie is enough
     }
+    return I18n._loadLanguage(languageKey);
+  }
 
-    if (languageKey === 'default') {
-      deleteCookie('language');
+  /**
+   * Translates a message.
+   *
+   * @param {String} key The message key.
+   * @param {Object} params Optional, the values of the message placeholders.
+   * Numbers are formatted for the current language. The count parameter also
+   * selects the plural form of the message.
+   * @return {String} The translated message.
+   */
+  static translate(key, params) {
+    var message = I18n.translations[key] || key;
+    params = params || {};
+
+    if (typeof message === 'object') {
+      message = message[I18n.pluralCategory(params.count)] || message.other;
+    }
+    message = message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (typeof params[name] === 'number') {
+        return new Intl.NumberFormat(I18n.language).format(params[name]);
+      }
+      return params[name] !== undefined ? params[name] : placeholder;
+    });
+
+    // in the default language, only plural messages need a translation
+    if (I18n.debug && key && (I18n.language === I18n.DEFAULT_LANGUAGE ?
+        params.count !== undefined && !I18n.translations[key] : !I18n._languageTranslations[key])) {
+      return I18n._untranslated(key, message);
+    }
+    return message;
+  }
+
+  // development aid, see I18n.debug
+  static _untranslated(key, message) {
+    I18n._reported = I18n._reported || {};
+    if (!I18n._reported[I18n.language + ':' + key]) {
+      I18n._reported[I18n.language + ':' + key] = true;
+      I18n._log('untranslated message for ' + I18n.language + ': ' + JSON.stringify(key));
+    }
+    return I18n.debug === 'highlight' ? '\u27e6' + message + '\u27e7' : message;
+  }
 
-    } else {
-      setCookie('language', languageKey, 365);
+  // the only logging of I18n, for development, only in the 'log' debug mode
+  static _log(message) {
+    if (I18n.debug === 'log') {
+      console.warn('I18n: ' + message);
     }
   }
 
-  static translate(key) {
-    if (I18n.translations[key]) {
-      return I18n.translations[key];
-    } else {
-      return key;
+  /**
+   * Gets the CLDR plural category of a number in the current language.
+   *
+   * @param {Number} count The number.
+   * @return {String} The category: 'zero', 'one', 'two', 'few', 'many' or
+   * 'other'.
+   */
+  static pluralCategory(count) {
+    if (!I18n._pluralRules || I18n._pluralRules.resolvedOptions().locale.indexOf(I18n.language) !== 0) {
+      I18n._pluralRules = new Intl.PluralRules(I18n.language);
     }
+    return I18n._pluralRules.select(Number(count));
   }
 }
+I18n.DEFAULT_LANGUAGE = 'en';
+// during development, untranslated messages (and the catalogs that cannot be
+// used) may be logged in the console ('log'), or the messages marked on the
+// page instead, like ⟦message⟧ ('highlight')
+I18n.debug = false;
+I18n.LANGUAGE_TAG = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+I18n.PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
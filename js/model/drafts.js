@@ -0,0 +1,12 @@
+class DraftsModel extends Fronty.Model {
+  constructor() {
+    super('DraftsModel');
+    this.drafts = [];
+  }
+
+  setDrafts(drafts) {
+    this.set((self) => {
+      self.drafts = drafts;
+    });
+  }
+}
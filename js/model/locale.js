@@ -0,0 +1,17 @@
+class LocaleModel extends Fronty.Model {
+  constructor(languages, language) {
+    super('LocaleModel');
+
+    // the languages the user can choose: [{code: 'es', name: 'Spanish'}]
+    this.languages = languages;
+
+    // the current language
+    this.language = language;
+  }
+
+  setLanguage(language) {
+    this.set((self) => {
+      self.language = language;
+    });
+  }
+}
@@ -0,0 +1,87 @@
+class NotificationModel extends Fronty.Model {
+  constructor() {
+    super('NotificationModel');
+    this.notifications = [];
+  }
+
+  // level is one of 'success', 'info', 'warning' or 'error'. The message is
+  // an I18n key, translated when rendered.
+  notify(level, message) {
+    var notification = {
+      id: ++NotificationModel._lastId,
+      level: level,
+      message: message
+    };
+
+    this.set((self) => {
+      self.notifications.push(notification);
+      if (self.notifications.length > NotificationModel.MAX_NOTIFICATIONS) {
+        self.notifications.shift();
+      }
+    });
+
+    setTimeout(() => {
+      this.dismiss(notification.id);
+    }, NotificationModel.DURATIONS_MS[level]);
+
+    return notification.id;
+  }
+
+  success(message) {
+    return this.notify('success', message);
+  }
+
+  info(message) {
+    return this.notify('info', message);
+  }
+
+  warning(message) {
+    return this.notify('warning', message);
+  }
+
+  error(message) {
+    return this.notify('error', message);
+  }
+
+  // notifies a failed ApiClient request, fallbackMessage is used when the
+  // failure has no more specific explanation
+  notifyRequestError(error, fallbackMessage) {
+    return this.error(NotificationModel.getRequestErrorMessage(error, fallbackMessage));
+  }
+
+  // the message (an I18n key) explaining a failed ApiClient request, see
+  // REQUEST_ERROR_MESSAGES
+  static getRequestErrorMessage(error, fallbackMessage) {
+    var messages = NotificationModel.REQUEST_ERROR_MESSAGES;
+    var message = messages[error.type] || messages[error.status] || (error.status >= 500 && messages[500]);
+    return message || fallbackMessage || messages.default;
+  }
+
+  dismiss(id) {
+    var index = this.notifications.findIndex((notification) => notification.id == id);
+    if (index != -1) {
+      this.set((self) => {
+        self.notifications.splice(index, 1);
+      });
+    }
+  }
+}
+NotificationModel._lastId = 0;
+NotificationModel.MAX_NOTIFICATIONS = 5;
+// by ApiError type or HTTP status (500 for any server failure), default for
+// any other failure
+NotificationModel.REQUEST_ERROR_MESSAGES = {
+  network: 'The server cannot be reached. Check your connection',
+  timeout: 'The server is taking too long to answer. Try again later',
+  401: 'You must login first',
+  403: 'You are not allowed to do that',
+  404: 'The requested item does not exist',
+  500: 'The server has failed. Try again later',
+  default: 'An error has occurred during the request'
+};
+NotificationModel.DURATIONS_MS = {
+  success: 3000,
+  info: 5000,
+  warning: 8000,
+  error: 10000
+};
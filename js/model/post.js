@@ -1,6 +1,6 @@
 class PostModel extends Fronty.Model {
 
-  constructor(id, title, author_id) {
+  constructor(id, title, author_id, tags, date) {
     super('PostModel'); //call super
     
     if (id) {
@@ -14,6 +14,12 @@ class PostModel extends Fronty.Model {
     if (author_id) {
       this.author_id = author_id;
     }
+
+    this.tags = tags || [];
+
+    if (date) {
+      this.date = date;
+    }
   }
 
   setTitle(title) {
@@ -27,4 +33,16 @@ class PostModel extends Fronty.Model {
       self.author_id = author_id;
     });
   }
+
+  setTags(tags) {
+    this.set((self) => {
+      self.tags = tags;
+    });
+  }
+
+  setDate(date) {
+    this.set((self) => {
+      self.date = date;
+    });
+  }
 }
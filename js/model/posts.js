@@ -5,6 +5,28 @@ class PostsModel extends Fronty.Model {
 
     // model attributes
     this.posts = [];
+
+    // pagination attributes
+    this.currentPage = 1;
+    this.pageSize = 10;
+    this.totalPosts = 0;
+    this.totalPages = 0;
+    this.pageNumbers = [];
+
+    // filter and sort attributes
+    this.searchQuery = '';
+    this.authorFilter = '';
+    this.sortField = '';
+    this.sortOrder = 'asc';
+    this.listQueryString = '';
+
+    // post editor attributes
+    this.editorMode = 'split'; // 'edit', 'split' or 'preview'
+    this.previewTitle = '';
+    this.previewContent = '';
+    this.availableDraft = null;
+    this.editorTags = [];
+    this.uploads = []; // images being uploaded: [{id, name, progress}]
   }
 
   setSelectedPost(post) {
@@ -13,9 +35,145 @@ class PostsModel extends Fronty.Model {
     });
   }
 
+  setEditorMode(editorMode) {
+    this.set((self) => {
+      self.editorMode = editorMode;
+    });
+  }
+
+  setPreview(title, content) {
+    this.set((self) => {
+      self.previewTitle = title;
+      self.previewContent = content;
+    });
+  }
+
+  setEditorTags(editorTags) {
+    this.set((self) => {
+      self.editorTags = editorTags;
+    });
+  }
+
+  addUpload(upload) {
+    this.set((self) => {
+      self.uploads.push(upload);
+    });
+  }
+
+  setUploadProgress(uploadId, progress) {
+    this.set((self) => {
+      var upload = self.uploads.find((upload) => upload.id === uploadId);
+      if (upload) {
+        upload.progress = progress;
+      }
+    });
+  }
+
+  removeUpload(uploadId) {
+    this.set((self) => {
+      self.uploads = self.uploads.filter((upload) => upload.id !== uploadId);
+    });
+  }
+
+  setAvailableDraft(draft) {
+    this.set((self) => {
+      self.availableDraft = draft;
+    });
+  }
+
+  findComment(commentId) {
+    return this.selectedPost.comments.find((comment) => comment.id == commentId);
+  }
+
+  // only one comment of the selected post can be edited at a time
+  setCommentEditing(commentId, editing) {
+    this.set((self) => {
+      self.selectedPost.comments.forEach((comment) => {
+        comment.editing = editing && comment.id == commentId;
+      });
+    });
+  }
+
+  setCommentContent(commentId, content) {
+    this.set((self) => {
+      var comment = self.findComment(commentId);
+      if (comment) {
+        comment.content = content;
+        comment.editing = false;
+      }
+    });
+  }
+
+  removeComment(commentId) {
+    var comment = this.findComment(commentId);
+    var index = this.selectedPost.comments.indexOf(comment);
+    this.set((self) => {
+      self.selectedPost.comments.splice(index, 1);
+    });
+    return index;
+  }
+
+  insertComment(comment, index) {
+    this.set((self) => {
+      self.selectedPost.comments.splice(index, 0, comment);
+    });
+  }
+
   setPosts(posts) {
     this.set((self) => {
       self.posts = posts;
     });
   }
+
+  setFilters(searchQuery, authorFilter) {
+    this.set((self) => {
+      self.searchQuery = searchQuery;
+      self.authorFilter = authorFilter;
+      self._updateListQueryString();
+    });
+  }
+
+  // sortField is one of PostsModel.SORT_FIELDS, anything else means no sort
+  setSort(sortField, sortOrder) {
+    this.set((self) => {
+      self.sortField = PostsModel.SORT_FIELDS.indexOf(sortField) !== -1 ? sortField : '';
+      self.sortOrder = sortOrder === 'desc' ? 'desc' : 'asc';
+      self._updateListQueryString();
+    });
+  }
+
+  setPostsPage(posts, page, totalPosts) {
+    this.set((self) => {
+      self.posts = posts;
+      self.currentPage = page;
+      self.totalPosts = totalPosts;
+      self.totalPages = Math.ceil(totalPosts / self.pageSize);
+      self.previousPage = page > 1 ? page - 1 : null;
+      self.nextPage = page < self.totalPages ? page + 1 : null;
+
+      // numbered links around the current page, not one per page
+      self.pageNumbers = [];
+      var first = Math.max(1, page - PostsModel.PAGE_LINKS_AROUND);
+      var last = Math.min(self.totalPages, page + PostsModel.PAGE_LINKS_AROUND);
+      for (var i = first; i <= last; i++) {
+        self.pageNumbers.push(i);
+      }
+    });
+  }
+
+  // to be appended to page links, so filters and sort are kept while paginating
+  _updateListQueryString() {
+    this.listQueryString = '';
+    if (this.searchQuery) {
+      this.listQueryString += '&q=' + encodeURIComponent(this.searchQuery);
+    }
+    if (this.authorFilter) {
+      this.listQueryString += '&author=' + encodeURIComponent(this.authorFilter);
+    }
+    if (this.sortField) {
+      this.listQueryString += '&sort=' + this.sortField + '&order=' + this.sortOrder;
+    }
+  }
 }
+PostsModel.PAGE_LINKS_AROUND = 2;
+PostsModel.SORT_FIELDS = ['title', 'author_id', 'date'];
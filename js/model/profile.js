@@ -0,0 +1,44 @@
+class ProfileModel extends Fronty.Model {
+  constructor() {
+    super('ProfileModel');
+
+    // the user whose profile is shown
+    this.login = '';
+
+    // the latest posts of the user
+    this.posts = [];
+    this.totalPosts = 0;
+
+    // the comments of the user, with their post_id and post_title
+    this.comments = [];
+    // false if the backend cannot list the comments of a user
+    this.commentsAvailable = true;
+  }
+
+  setLogin(login) {
+    this.set((self) => {
+      self.login = login;
+    });
+  }
+
+  setPosts(posts, totalPosts) {
+    this.set((self) => {
+      self.posts = posts;
+      self.totalPosts = totalPosts;
+    });
+  }
+
+  setComments(comments) {
+    this.set((self) => {
+      self.comments = comments;
+      self.commentsAvailable = true;
+    });
+  }
+
+  setCommentsUnavailable() {
+    this.set((self) => {
+      self.comments = [];
+      self.commentsAvailable = false;
+    });
+  }
+}
@@ -0,0 +1,26 @@
+class TagsModel extends Fronty.Model {
+
+  constructor() {
+    super('TagsModel'); //call super
+
+    // the tag being browsed and its posts
+    this.tag = '';
+    this.posts = [];
+
+    // every tag in use, for autocompletion: [{name: 'javascript', count: 3}, ...]
+    this.allTags = [];
+  }
+
+  setTagPosts(tag, posts) {
+    this.set((self) => {
+      self.tag = tag;
+      self.posts = posts;
+    });
+  }
+
+  setAllTags(allTags) {
+    this.set((self) => {
+      self.allTags = allTags;
+    });
+  }
+}
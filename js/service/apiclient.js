@@ -0,0 +1,209 @@
+/**
+ * HTTP client for the backend REST API.
+ *
+ * Requests are sent relative to a base URL, request bodies are serialized as
+ * JSON and response bodies parsed from JSON when possible. All methods return
+ * native Promises, which are rejected with an {@link ApiError}.
+ */
+class ApiClient {
+  constructor(baseUrl, timeout) {
+    this.baseUrl = baseUrl;
+    this.timeout = timeout || ApiClient.DEFAULT_TIMEOUT_MS;
+    this.authorization = null;
+    this.requestInterceptors = [];
+    this.responseInterceptors = [];
+  }
+
+  /**
+   * Gets the client shared by all services, so they also share the
+   * authorization and the interceptors.
+   */
+  static getInstance() {
+    if (!ApiClient._instance) {
+      ApiClient._instance = new ApiClient(AppConfig.backendServer, AppConfig.requestTimeout);
+    }
+    return ApiClient._instance;
+  }
+
+  /**
+   * Sets the Authorization header value sent on every request, or null to
+   * stop sending it. A request can still send its own Authorization header.
+   */
+  setAuthorization(authorization) {
+    this.authorization = authorization;
+  }
+
+  /**
+   * Adds a function receiving each request object before it is sent. It must
+   * return the request (or a Promise of it) and may throw to cancel it.
+   */
+  addRequestInterceptor(interceptor) {
+    this.requestInterceptors.push(interceptor);
+  }
+
+  /**
+   * Adds functions receiving each response or {@link ApiError}, in the manner
+   * of Promise.then(). Both are optional; onError may recover by returning a
+   * response.
+   */
+  addResponseInterceptor(onResponse, onError) {
+    this.responseInterceptors.push({
+      onResponse: onResponse,
+      onError: onError
+    });
+  }
+
+  get(path, params) {
+    return this.request({
+      method: 'GET',
+      path: path,
+      params: params
+    }).then((response) => response.data);
+  }
+
+  post(path, data) {
+    return this.request({
+      method: 'POST',
+      path: path,
+      data: data
+    }).then((response) => response.data);
+  }
+
+  put(path, data) {
+    return this.request({
+      method: 'PUT',
+      path: path,
+      data: data
+    }).then((response) => response.data);
+  }
+
+  delete(path) {
+    return this.request({
+      method: 'DELETE',
+      path: path
+    }).then((response) => response.data);
+  }
+
+  /**
+   * Sends a request.
+   *
+   * @param {Object} request The request: method, path (relative to the base
+   * URL), and optionally params (query string), data (JSON body, or FormData
+   * for multipart bodies), headers, timeout and onUploadProgress (a function
+   * receiving the fraction of the body sent, from 0 to 1).
+   * @return {Promise} A Promise of the response: {status, data, getHeader(name),
+   * request}.
+   */
+  request(request) {
+    request = Object.assign({
+      method: 'GET',
+      timeout: this.timeout
+    }, request);
+    request.headers = Object.assign({}, request.headers);
+    if (this.authorization && !request.headers.Authorization) {
+      request.headers.Authorization = this.authorization;
+    }
+
+    var promise = this.requestInterceptors.reduce(
+        (promise, interceptor) => promise.then(interceptor), Promise.resolve(request))
+      .then((request) => this._send(request));
+
+    this.responseInterceptors.forEach((interceptor) => {
+      promise = promise.then(interceptor.onResponse, interceptor.onError);
+    });
+    return promise;
+  }
+
+  _send(request) {
+    var url = this.baseUrl + request.path;
+    if (request.params) {
+      var query = $.param(request.params);
+      if (query) {
+        url += (url.indexOf('?') === -1 ? '?' : '&') + query;
+      }
+    }
+
+    var settings = {
+      url: url,
+      method: request.method,
+      headers: request.headers,
+      timeout: request.timeout,
+      // we parse the body ourselves, empty bodies are not JSON parse errors
+      dataType: 'text'
+    };
+    if (request.data instanceof FormData) {
+      // the browser sets the multipart content type, with its boundary
+      settings.data = request.data;
+      settings.processData = false;
+      settings.contentType = false;
+    } else if (request.data !== undefined) {
+      settings.data = JSON.stringify(request.data);
+      settings.contentType = 'application/json';
+    }
+    if (request.onUploadProgress) {
+      settings.xhr = () => {
+        var xhr = $.ajaxSettings.xhr();
+        xhr.upload.addEventListener('progress', (event) => {
+          if (event.lengthComputable) {
+            request.onUploadProgress(event.loaded / event.total);
+          }
+        });
+        return xhr;
+      };
+    }
+
+    return new Promise((resolve, reject) => {
+      $.ajax(settings)
+        .done((text, textStatus, xhr) => {
+          resolve({
+            status: xhr.status,
+            data: ApiClient._parseBody(text),
+            getHeader: (name) => xhr.getResponseHeader(name),
+            request: request
+          });
+        })
+        .fail((xhr, textStatus) => {
+          reject(new ApiError(request, xhr, textStatus));
+        });
+    });
+  }
+
+  static _parseBody(text) {
+    if (!text) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text;
+    }
+  }
+}
+ApiClient.DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * The error of a failed request.
+ *
+ * Its type is 'timeout', 'network' (the backend could not be reached) or
+ * 'http' (the backend answered with an error status).
+ */
+class ApiError extends Error {
+  constructor(request, xhr, textStatus) {
+    var body = ApiClient._parseBody(xhr.responseText);
+    super(typeof body === 'string' ? body : xhr.statusText);
+
+    this.name = 'ApiError';
+    this.request = request;
+    this.status = xhr.status;
+    this.statusText = xhr.statusText;
+    this.body = body;
+
+    if (textStatus === 'timeout') {
+      this.type = 'timeout';
+    } else if (xhr.status === 0) {
+      this.type = 'network';
+    } else {
+      this.type = 'http';
+    }
+  }
+}
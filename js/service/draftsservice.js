@@ -0,0 +1,61 @@
+// Unsaved post drafts, kept in localStorage per user and post id (or
+// DraftsService.NEW_POST for posts not created yet).
+class DraftsService {
+  constructor() {
+
+  }
+
+  findAllDrafts(user) {
+    var prefix = this._key(user, '');
+    var drafts = [];
+    for (var i = 0; i < window.localStorage.length; i++) {
+      var key = window.localStorage.key(i);
+      if (key.indexOf(prefix) === 0) {
+        var draft = this._parse(window.localStorage.getItem(key));
+        if (draft !== null) {
+          drafts.push(draft);
+        }
+      }
+    }
+    // most recent first
+    return drafts.sort((a, b) => b.modified - a.modified);
+  }
+
+  findDraft(user, postId) {
+    return this._parse(window.localStorage.getItem(this._key(user, postId)));
+  }
+
+  saveDraft(user, postId, title, content, tags) {
+    var draft = {
+      postId: String(postId),
+      title: title,
+      content: content,
+      tags: tags || [],
+      modified: Date.now()
+    };
+    try {
+      window.localStorage.setItem(this._key(user, postId), JSON.stringify(draft));
+    } catch (e) {
+      // storage full or disabled, drafts are a best-effort feature
+      return null;
+    }
+    return draft;
+  }
+
+  deleteDraft(user, postId) {
+    window.localStorage.removeItem(this._key(user, postId));
+  }
+
+  _key(user, postId) {
+    return 'draft.' + user + '.' + postId;
+  }
+
+  _parse(json) {
+    try {
+      return json ? JSON.parse(json) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+}
+DraftsService.NEW_POST = 'new';
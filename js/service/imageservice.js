@@ -0,0 +1,105 @@
+// Client-side processing of the images attached to posts.
+class ImageService {
+  constructor() {
+
+  }
+
+  isImage(file) {
+    return file.type.indexOf('image/') === 0;
+  }
+
+  /**
+   * Scales an image down to fit in ImageService.MAX_SIZE pixels and
+   * compresses it. Small images and GIFs (which could be animated) are kept as
+   * they are. PNGs are kept as PNG, unless they are still too big, and then
+   * converted to JPEG. The original file is kept if it is smaller than the
+   * result.
+   *
+   * @param {File} file The image file.
+   * @return {Promise} A Promise of the resulting Blob (or the file itself),
+   * whose type may not be the one of the file, see getFileName().
+   */
+  resize(file) {
+    if (file.type === 'image/gif') {
+      return Promise.resolve(file);
+    }
+
+    return this._load(file).then((image) => {
+      var scale = Math.min(1, ImageService.MAX_SIZE / image.width,
+        ImageService.MAX_SIZE / image.height);
+      if (scale === 1 && file.size <= ImageService.MAX_BYTES) {
+        return file;
+      }
+
+      var width = Math.round(image.width * scale);
+      var height = Math.round(image.height * scale);
+      // PNGs may have transparency, everything else is sent as JPEG
+      var encoded = file.type === 'image/png' ?
+        this._encode(image, width, height, 'image/png').then((blob) => blob.size > ImageService.MAX_BYTES ?
+          this._encode(image, width, height, 'image/jpeg') : blob) :
+        this._encode(image, width, height, 'image/jpeg');
+      return encoded.then((blob) => scale === 1 && blob.size >= file.size ? file : blob);
+    });
+  }
+
+  /**
+   * Gets the name to upload an image with, i.e. the name of its original file
+   * with the extension of its current type.
+   *
+   * @param {String} name The name of the original file.
+   * @param {Blob} image The image, as given by resize().
+   * @return {String} The file name.
+   */
+  getFileName(name, image) {
+    var extension = ImageService.EXTENSIONS[image.type];
+    return extension ? name.replace(/\.[^.]*$/, '') + '.' + extension : name;
+  }
+
+  _encode(image, width, height, type) {
+    var canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    var context = canvas.getContext('2d');
+    if (type === 'image/jpeg') {
+      // transparent areas would be black otherwise
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, width, height);
+    }
+    context.drawImage(image, 0, 0, width, height);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('The image cannot be processed'));
+        }
+      }, type, ImageService.JPEG_QUALITY);
+    });
+  }
+
+  _load(file) {
+    return new Promise((resolve, reject) => {
+      var url = URL.createObjectURL(file);
+      var image = new Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('The image cannot be processed'));
+      };
+      image.src = url;
+    });
+  }
+}
+ImageService.MAX_SIZE = 1600; // pixels
+ImageService.MAX_BYTES = 500 * 1024;
+ImageService.JPEG_QUALITY = 0.85;
+ImageService.EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
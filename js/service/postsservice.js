@@ -1,48 +1,191 @@
 class PostsService {
   constructor() {
-
+    this.apiClient = ApiClient.getInstance();
   }
 
   findAllPosts() {
-    return $.get(AppConfig.backendServer+'/rest/post');
+    return this.apiClient.get('/rest/post');
+  }
+
+  findPostsPage(page, size, query) {
+    query = query || {};
+    var params = {
+      page: page,
+      size: size
+    };
+    ['q', 'author', 'tag', 'sort', 'order'].forEach((name) => {
+      if (query[name]) {
+        params[name] = query[name];
+      }
+    });
+
+    return this.apiClient.request({
+        method: 'GET',
+        path: '/rest/post',
+        params: params
+      })
+      .then((response) => {
+        var total = response.getHeader('X-Total-Count');
+        if (total !== null) {
+          return {
+            posts: response.data,
+            total: parseInt(total)
+          };
+        }
+        // without the header the backend may have ignored the query
+        // parameters, filtering and sorting again does no harm
+        var posts = this._filterPosts(response.data, query);
+        if (query.sort) {
+          posts = this._sortPosts(posts, query.sort, query.order);
+        }
+        if (response.data.length > size) {
+          // every post was sent, so we paginate here
+          return {
+            posts: posts.slice((page - 1) * size, page * size),
+            total: posts.length
+          };
+        }
+        // this may be a page, whose header is not exposed by CORS. If it is a
+        // full one, there may be more posts than we know of
+        return {
+          posts: posts,
+          total: (page - 1) * size + posts.length,
+          totalUnknown: response.data.length == size
+        };
+      });
   }
 
   findPost(id) {
-    return $.get(AppConfig.backendServer+'/rest/post/' + id);
+    return this.apiClient.get('/rest/post/' + id);
   }
 
   deletePost(id) {
-    return $.ajax({
-      url: AppConfig.backendServer+'/rest/post/' + id,
-      method: 'DELETE'
-    });
+    return this.apiClient.delete('/rest/post/' + id);
   }
 
   savePost(post) {
-    return $.ajax({
-      url: AppConfig.backendServer+'/rest/post/' + post.id,
-      method: 'PUT',
-      data: JSON.stringify(post),
-      contentType: 'application/json'
-    });
+    return this.apiClient.put('/rest/post/' + post.id, post);
   }
 
   addPost(post) {
-    return $.ajax({
-      url: AppConfig.backendServer+'/rest/post',
-      method: 'POST',
-      data: JSON.stringify(post),
-      contentType: 'application/json'
-    });
+    return this.apiClient.post('/rest/post', post);
+  }
+
+  // Tags. Backends without the tag endpoints answer 404, then tags are
+  // collected from every post here.
+
+  findAllTags() {
+    return this._withFallback(this.apiClient.get('/rest/tag'),
+      () => this.findAllPosts().then((posts) => this._countTags(posts)));
+  }
+
+  findPostsByTag(tag) {
+    return this._withFallback(this.apiClient.get('/rest/tag/' + encodeURIComponent(tag) + '/post'),
+      () => this.findAllPosts().then((posts) => this._filterPosts(posts, {
+        tag: tag
+      })));
+  }
+
+  /**
+   * Uploads an image via POST /rest/image, as the "image" field of a multipart
+   * body. The backend must answer with {"url": "..."} or a Location header.
+   *
+   * @param {Blob} image The image.
+   * @param {String} fileName The file name sent with the image.
+   * @param {Function} onProgress Optional, receives the fraction uploaded.
+   * @return {Promise} A Promise of the absolute URL of the uploaded image.
+   */
+  uploadImage(image, fileName, onProgress) {
+    var formData = new FormData();
+    formData.append('image', image, fileName);
+
+    return this.apiClient.request({
+        method: 'POST',
+        path: '/rest/image',
+        data: formData,
+        timeout: PostsService.UPLOAD_TIMEOUT_MS,
+        onUploadProgress: onProgress
+      })
+      .then((response) => {
+        var url = (response.data && response.data.url) || response.getHeader('Location');
+        if (!url) {
+          throw new Error('The image was uploaded but its URL is unknown');
+        }
+        // URLs relative to the backend would not work inside the posts
+        return /^[a-z]+:\/\//i.test(url) ? url : this.apiClient.baseUrl + url;
+      });
+  }
+
+  // The comments of a user, each one with its post_id and post_title.
+  // Backends without this endpoint answer 404. There is no fallback, as it
+  // would take a request per post of the blog.
+  findCommentsByAuthor(login) {
+    return this.apiClient.get('/rest/user/' + encodeURIComponent(login) + '/comment');
   }
 
   createComment(postid, comment) {
-    return $.ajax({
-      url: AppConfig.backendServer+'/rest/post/' + postid + '/comment',
-      method: 'POST',
-      data: JSON.stringify(comment),
-      contentType: 'application/json'
+    return this.apiClient.post('/rest/post/' + postid + '/comment', comment);
+  }
+
+  updateComment(postid, comment) {
+    return this.apiClient.put('/rest/post/' + postid + '/comment/' + comment.id, comment);
+  }
+
+  deleteComment(postid, commentid) {
+    return this.apiClient.delete('/rest/post/' + postid + '/comment/' + commentid);
+  }
+
+  _filterPosts(posts, query) {
+    var q = query.q ? query.q.toLowerCase() : null;
+    return posts.filter((post) => {
+      if (query.author && post.author_id != query.author) {
+        return false;
+      }
+      if (query.tag && (post.tags || []).indexOf(query.tag) == -1) {
+        return false;
+      }
+      if (q) {
+        return (post.title || '').toLowerCase().indexOf(q) != -1 ||
+          (post.content || '').toLowerCase().indexOf(q) != -1;
+      }
+      return true;
     });
   }
 
+  // most used first
+  _countTags(posts) {
+    var counts = {};
+    posts.forEach((post) => {
+      (post.tags || []).forEach((tag) => {
+        counts[tag] = (counts[tag] || 0) + 1;
+      });
+    });
+    return Object.keys(counts)
+      .map((name) => ({
+        name: name,
+        count: counts[name]
+      }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  _withFallback(promise, fallback) {
+    return promise.catch((error) => {
+      if (error.status == 404) {
+        return fallback();
+      }
+      throw error;
+    });
+  }
+
+  _sortPosts(posts, field, order) {
+    var direction = order === 'desc' ? -1 : 1;
+    return posts.slice().sort((a, b) => {
+      var valueA = a[field] === undefined ? '' : String(a[field]);
+      var valueB = b[field] === undefined ? '' : String(b[field]);
+      return direction * valueA.localeCompare(valueB, undefined, {
+        numeric: true
+      });
+    });
+  }
 }
+PostsService.UPLOAD_TIMEOUT_MS = 2 * 60 * 1000;
@@ -0,0 +1,76 @@
+/**
+ * Loads scripts and Handlebars templates on demand. Each resource is fetched
+ * only once, later loads of it resolve immediately.
+ */
+class ResourceLoader {
+  constructor() {
+    this._loading = {}; // url -> Promise
+  }
+
+  static getInstance() {
+    if (!ResourceLoader._instance) {
+      ResourceLoader._instance = new ResourceLoader();
+    }
+    return ResourceLoader._instance;
+  }
+
+  /**
+   * Loads a set of resources.
+   *
+   * @param {Object} resources The resources: scripts (URLs, executed in the
+   * given order) and templates (template names mapped to their URLs, compiled
+   * into Handlebars.templates).
+   * @return {Promise} A Promise resolved when every resource is loaded.
+   */
+  load(resources) {
+    var scripts = (resources.scripts || []).reduce(
+      (promise, url) => promise.then(() => this.loadScript(url)), Promise.resolve());
+    return Promise.all([scripts, this.loadTemplates(resources.templates || {})]);
+  }
+
+  loadScript(url) {
+    return this._once(url, () => new Promise((resolve, reject) => {
+      var script = document.createElement('script');
+      script.src = url;
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error('Cannot load ' + url));
+      document.head.appendChild(script);
+    }));
+  }
+
+  loadTemplates(templates) {
+    return Promise.all(Object.keys(templates).map((name) =>
+      this.loadTemplate(name, templates[name])));
+  }
+
+  loadTemplate(name, url) {
+    return this._once(url, () => this.loadTextFile(url).then((source) => {
+      Handlebars.templates[name] = Handlebars.compile(source);
+    }));
+  }
+
+  loadTextFile(url) {
+    return new Promise((resolve, reject) => {
+      $.get({
+        url: url,
+        cache: true,
+        beforeSend: function(xhr) {
+          xhr.overrideMimeType('text/plain');
+        }
+      }).then((source) => {
+        resolve(source);
+      }).fail(() => reject(new Error('Cannot load ' + url)));
+    });
+  }
+
+  _once(url, load) {
+    if (!this._loading[url]) {
+      this._loading[url] = load().catch((error) => {
+        // allow retrying
+        delete this._loading[url];
+        throw error;
+      });
+    }
+    return this._loading[url];
+  }
+}
@@ -1,9 +1,144 @@
 class UserService {
   constructor() {
-
+    this.apiClient = ApiClient.getInstance();
   }
 
   loginWithSessionData() {
+    if (AppConfig.authMode === 'basic') {
+      return this._loginWithBasicSessionData();
+    }
+
+    return new Promise((resolve, reject) => {
+      var login = window.sessionStorage.getItem('login');
+      var token = window.sessionStorage.getItem('token');
+      var expiry = parseInt(window.sessionStorage.getItem('tokenExpiry'));
+
+      if (!login || !token || isNaN(expiry) || expiry <= Date.now()) {
+        this._clearSessionData();
+        resolve(null);
+        return;
+      }
+
+      this._useToken(token, expiry);
+      // check that the backend still accepts the token
+      this.apiClient.get('/rest/user/' + login)
+        .then(() => {
+          resolve(login);
+        })
+        .catch(() => {
+          this._clearSessionData();
+          resolve(null);
+        });
+    });
+  }
+
+  login(login, pass) {
+    if (AppConfig.authMode === 'basic') {
+      return this._loginBasic(login, pass);
+    }
+
+    return new Promise((resolve, reject) => {
+      // credentials are only sent once, in exchange for a token
+      this.apiClient.request({
+          method: 'POST',
+          path: '/rest/user/token',
+          headers: {
+            Authorization: 'Basic ' + btoa(login + ':' + pass)
+          }
+        })
+        .then((response) => {
+          window.sessionStorage.setItem('login', login);
+          this._storeToken(response.data);
+          resolve();
+        })
+        .catch((error) => {
+          this._clearSessionData();
+          reject(error);
+        });
+    });
+  }
+
+  logout() {
+    this._clearSessionData();
+  }
+
+  register(user) {
+    return this.apiClient.post('/rest/user', user);
+  }
+
+  // the preferences of a user, like {language: 'es'}, or an empty object if
+  // the backend does not keep them
+  findPreferences(login) {
+    return this.apiClient.get('/rest/user/' + login + '/preferences')
+      .then((preferences) => preferences || {})
+      .catch((error) => {
+        if (error.status === 404) {
+          return {};
+        }
+        throw error;
+      });
+  }
+
+  savePreferences(login, preferences) {
+    return this.apiClient.put('/rest/user/' + login + '/preferences', preferences);
+  }
+
+  /**
+   * Adds a function called when the session ends without a logout, because
+   * the token cannot be refreshed.
+   */
+  static addSessionExpiredListener(listener) {
+    UserService._sessionExpiredListeners.push(listener);
+  }
+
+  _refreshToken() {
+    return this.apiClient.post('/rest/user/token/refresh')
+      .then((data) => {
+        this._storeToken(data);
+      })
+      .catch(() => {
+        this._clearSessionData();
+        UserService._sessionExpiredListeners.forEach((listener) => listener());
+      });
+  }
+
+  // data is the backend token response: {token: '...', expires_in: seconds}
+  _storeToken(data) {
+    var expiresIn = parseFloat(data.expires_in);
+    if (!(expiresIn > 0 && isFinite(expiresIn))) {
+      expiresIn = UserService.DEFAULT_TOKEN_LIFETIME_S;
+    }
+    var expiry = Date.now() + expiresIn * 1000;
+    window.sessionStorage.setItem('token', data.token);
+    window.sessionStorage.setItem('tokenExpiry', expiry);
+    this._useToken(data.token, expiry);
+  }
+
+  _useToken(token, expiry) {
+    this.apiClient.setAuthorization('Bearer ' + token);
+
+    // there may be many UserService instances, but only one refresh timer
+    clearTimeout(UserService._refreshTimeout);
+    // short-lived tokens are refreshed halfway, not over and over
+    var lifetime = expiry - Date.now();
+    UserService._refreshTimeout = setTimeout(() => {
+      this._refreshToken();
+    }, Math.max(lifetime / 2, lifetime - UserService.TOKEN_REFRESH_MARGIN_MS));
+  }
+
+  _clearSessionData() {
+    clearTimeout(UserService._refreshTimeout);
+    window.sessionStorage.removeItem('login');
+    window.sessionStorage.removeItem('pass');
+    window.sessionStorage.removeItem('token');
+    window.sessionStorage.removeItem('tokenExpiry');
+    this.apiClient.setAuthorization(null);
+  }
+
+  // HTTP Basic mode, for backends without token support. The password is
+  // kept in sessionStorage and sent on every request.
+
+  _loginWithBasicSessionData() {
     var self = this;
     return new Promise((resolve, reject) => {
       if (window.sessionStorage.getItem('login') &&
@@ -21,51 +156,32 @@ class UserService {
     });
   }
 
-  login(login, pass) {
+  _loginBasic(login, pass) {
     return new Promise((resolve, reject) => {
 
-      $.get({
-          url: AppConfig.backendServer+'/rest/user/' + login,
-          beforeSend: function(xhr) {
-            xhr.setRequestHeader("Authorization", "Basic " + btoa(login + ":" + pass));
+      var authorization = 'Basic ' + btoa(login + ':' + pass);
+      this.apiClient.request({
+          method: 'GET',
+          path: '/rest/user/' + login,
+          headers: {
+            Authorization: authorization
           }
         })
         .then(() => {
           //keep this authentication forever
           window.sessionStorage.setItem('login', login);
           window.sessionStorage.setItem('pass', pass);
-          $.ajaxSetup({
-            beforeSend: (xhr) => {
-              xhr.setRequestHeader("Authorization", "Basic " + btoa(login + ":" + pass));
-            }
-          });
+          this.apiClient.setAuthorization(authorization);
           resolve();
         })
-        .fail((error) => {
-          window.sessionStorage.removeItem('login');
-          window.sessionStorage.removeItem('pass');
-          $.ajaxSetup({
-            beforeSend: (xhr) => {}
-          });
+        .catch((error) => {
+          this._clearSessionData();
           reject(error);
         });
     });
   }
-
-  logout() {
-    window.sessionStorage.removeItem('login');
-    window.sessionStorage.removeItem('pass');
-    $.ajaxSetup({
-      beforeSend: (xhr) => {}
-    });
-  }
-
-  register(user) {
-    return $.ajax({
-      url: AppConfig.backendServer+'/rest/user',
-      method: 'POST',
-      data: JSON.stringify(user),
-      contentType: 'application/json'
-    });
-  }
 }
+UserService.TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+// when the backend does not say when tokens expire
+UserService.DEFAULT_TOKEN_LIFETIME_S = 15 * 60;
+UserService._sessionExpiredListeners = [];
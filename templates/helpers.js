@@ -4,3 +4,72 @@ Handlebars.registerHelper('if_eq', function(a, b, opts) {
   else
     return opts.inverse(this);
 });
+
+// renders Markdown text as sanitized HTML
+Handlebars.registerHelper('markdown', function(text) {
+  if (typeof text != 'string') {
+    return '';
+  }
+  return new Handlebars.SafeString(DOMPurify.sanitize(marked.parse(text, {
+    breaks: true
+  })));
+});
+
+// The following helpers format values for the current language (see I18n).
+// Dates may be Date objects, ISO 8601 strings or timestamps in milliseconds.
+// Those that cannot be parsed, like '2017-01-01 10:00:00' in some browsers,
+// are shown as given.
+
+function isInvalidDate(date) {
+  return isNaN(new Date(date).getTime());
+}
+
+// formats a date with its time, or as given by Intl.DateTimeFormat options,
+// e.g. {{formatDate date dateStyle='long'}}
+Handlebars.registerHelper('formatDate', function(date, opts) {
+  if (date === undefined || date === null || date === '') {
+    return '';
+  }
+  if (isInvalidDate(date)) {
+    return date;
+  }
+  var options = Object.keys(opts.hash).length > 0 ? opts.hash : {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  };
+  return new Intl.DateTimeFormat(I18n.language, options).format(new Date(date));
+});
+
+// formats a number, optionally with Intl.NumberFormat options, e.g.
+// {{formatNumber ratio style='percent'}}
+Handlebars.registerHelper('formatNumber', function(number, opts) {
+  if (number === undefined || number === null || number === '') {
+    return '';
+  }
+  return new Intl.NumberFormat(I18n.language, opts.hash).format(number);
+});
+
+// the time from now to a date, like "3 hours ago" or "in 2 days"
+Handlebars.registerHelper('relativeTime', function(date) {
+  if (date === undefined || date === null || date === '') {
+    return '';
+  }
+  if (isInvalidDate(date)) {
+    return date;
+  }
+  // the largest unit first, months and years are approximate
+  var units = [
+    ['year', 365 * 24 * 60 * 60],
+    ['month', 30 * 24 * 60 * 60],
+    ['week', 7 * 24 * 60 * 60],
+    ['day', 24 * 60 * 60],
+    ['hour', 60 * 60],
+    ['minute', 60],
+    ['second', 1]
+  ];
+  var seconds = (new Date(date).getTime() - Date.now()) / 1000;
+  var unit = units.find((unit) => Math.abs(seconds) >= unit[1]) || units[units.length - 1];
+  return new Intl.RelativeTimeFormat(I18n.language, {
+    numeric: 'auto'
+  }).format(Math.round(seconds / unit[1]), unit[0]);
+});
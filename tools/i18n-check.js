@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// Checks the translation catalogs in js/i18n against the messages used by the
+// application. The messages are extracted from the templates ({{i18n 'key'}}
+// and {{#i18n}}key{{/i18n}}) and the scripts (I18n.translate('key'), the
+// notifications and the errors shown in them), then each catalog is checked
+// for:
+// - duplicate keys, where only the last translation is used
+// - missing keys, used but not translated (for default.json, only plural
+//   messages, as the key of any other message is already its English text)
+// - unused keys, translated but not found in the sources. These are just
+//   warnings, as some messages are not literals in the sources, like the
+//   validation errors of the backend.
+//
+// Usage: node tools/i18n-check.js [catalog.json...]
+// Without arguments every catalog in js/i18n is checked. Exits with status 1
+// if there are duplicate or missing keys.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const catalogsDir = path.join(root, 'js', 'i18n');
+
+// message literals in single or double quotes, first group is the quote
+const STRING = `(['"])((?:\\\\.|(?!\\1).)*)\\1`;
+
+const TEMPLATE_PATTERNS = [
+  // {{i18n 'key'}} and {{i18n 'key' count=n}}
+  new RegExp(`\\{\\{\\s*i18n\\s+${STRING}([^}]*)\\}\\}`, 'g'),
+  // {{#i18n}}key{{/i18n}}, when the key is not an expression
+  /\{\{#i18n\}\}()([^{]+?)\{\{\/i18n\}\}()/g
+];
+
+const SCRIPT_PATTERNS = [
+  // I18n.translate('key') and I18n.translate('key', {count: n})
+  new RegExp(`I18n\\.translate\\(\\s*${STRING}([^)]*)\\)`, 'g'),
+  // notificationModel.success('key')...
+  new RegExp(`notificationModel\\.(?:success|info|warning|error)\\(\\s*${STRING}()`, 'g'),
+  // notifyRequestError(error, 'key')
+  new RegExp(`notifyRequestError\\([^,()]+,\\s*${STRING}()`, 'g'),
+  // errors notified with notificationModel.error(error.message), like those
+  // of ImageService. Messages built from other values are not translatable.
+  new RegExp(`new Error\\(\\s*${STRING}()\\s*\\)`, 'g'),
+  // the sample texts of the post editor formatting buttons
+  new RegExp(`\\bplaceholder:\\s*${STRING}()`, 'g')
+];
+
+// objects whose values are all messages: {name: 'key', ...}
+const MESSAGE_OBJECTS = [
+  // the messages of NotificationModel.notifyRequestError()
+  /NotificationModel\.REQUEST_ERROR_MESSAGES\s*=\s*\{([^}]*)\}/g
+];
+const OBJECT_VALUE = new RegExp(`:\\s*${STRING}()`, 'g');
+
+function listFiles(dir, extension) {
+  return fs.readdirSync(dir).reduce((files, name) => {
+    const file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      // third-party code, and the catalogs themselves
+      return name === 'lib' || file === catalogsDir ? files : files.concat(listFiles(file, extension));
+    }
+    return name.endsWith(extension) ? files.concat(file) : files;
+  }, []);
+}
+
+function unescape(literal) {
+  return literal.replace(/\\(.)/g, '$1');
+}
+
+// key -> {plural, files}
+function extractKeys() {
+  const keys = new Map();
+  const scan = (file, patterns, source) => {
+    source = source || fs.readFileSync(file, 'utf8');
+    patterns.forEach((pattern) => {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(source)) !== null) {
+        const key = unescape(match[2].trim());
+        const entry = keys.get(key) || {
+          plural: false,
+          files: new Set()
+        };
+        entry.plural = entry.plural || /\bcount\b/.test(match[3] || '');
+        entry.files.add(path.relative(root, file));
+        keys.set(key, entry);
+      }
+    });
+  };
+  listFiles(path.join(root, 'templates'), '.hbs').forEach((file) => scan(file, TEMPLATE_PATTERNS));
+  listFiles(path.join(root, 'js'), '.js').forEach((file) => {
+    scan(file, SCRIPT_PATTERNS);
+    const source = fs.readFileSync(file, 'utf8');
+    MESSAGE_OBJECTS.forEach((pattern) => {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(source)) !== null) {
+        scan(file, [OBJECT_VALUE], match[1]);
+      }
+    });
+  });
+  return keys;
+}
+
+// the top-level keys of a JSON object, in order and with duplicates, which
+// JSON.parse() would hide
+function readCatalogKeys(source) {
+  const keys = [];
+  let depth = 0;
+  const string = /"(?:\\.|[^"\\])*"/y;
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === '"') {
+      string.lastIndex = i;
+      const literal = string.exec(source)[0];
+      i += literal.length - 1;
+      if (depth === 1 && /^\s*:/.test(source.substring(i + 1))) {
+        keys.push(JSON.parse(literal));
+      }
+    } else if (c === '{' || c === '[') {
+      depth++;
+    } else if (c === '}' || c === ']') {
+      depth--;
+    }
+  }
+  return keys;
+}
+
+function checkCatalog(file, usedKeys) {
+  const name = path.basename(file, '.json');
+  const source = fs.readFileSync(file, 'utf8');
+  let catalog;
+  try {
+    catalog = JSON.parse(source);
+  } catch (e) {
+    console.log(`${name}: malformed catalog: ${e.message}`);
+    return false;
+  }
+
+  const keys = readCatalogKeys(source);
+  const duplicates = keys.filter((key, index) => keys.indexOf(key) !== index);
+  const missing = Array.from(usedKeys.keys()).filter((key) =>
+    !(key in catalog) && (name !== 'default' || usedKeys.get(key).plural));
+  const unused = Object.keys(catalog).filter((key) => !usedKeys.has(key));
+
+  const report = (title, list, describe) => {
+    if (list.length > 0) {
+      console.log(`${name}: ${list.length} ${title}`);
+      list.forEach((key) => console.log(`  ${JSON.stringify(key)}${describe ? ' ' + describe(key) : ''}`));
+    }
+  };
+  report('duplicate keys', Array.from(new Set(duplicates)));
+  report('missing keys', missing, (key) => '(' + Array.from(usedKeys.get(key).files).join(', ') + ')');
+  report('unused keys (maybe used dynamically)', unused);
+  if (duplicates.length + missing.length + unused.length === 0) {
+    console.log(`${name}: OK`);
+  }
+  return duplicates.length === 0 && missing.length === 0;
+}
+
+const catalogs = process.argv.length > 2 ? process.argv.slice(2).map((file) => path.resolve(file)) :
+  fs.readdirSync(catalogsDir).filter((name) => name.endsWith('.json')).map((name) => path.join(catalogsDir, name));
+const usedKeys = extractKeys();
+console.log(`${usedKeys.size} messages used in templates/ and js/`);
+
+const valid = catalogs.map((file) => checkCatalog(file, usedKeys)).every((ok) => ok);
+process.exitCode = valid ? 0 : 1;
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// A stub of the image upload endpoint, to try image uploads with backends not
+// implementing it. Uploaded images are kept in memory. Any other request is
+// forwarded to the backend.
+//
+// Usage: node tools/image-stub-server.js <port> <backend URL>
+// Example: node tools/image-stub-server.js 8000 http://localhost/mvcblog
+// and then set backendServer: 'http://localhost:8000' in js/app.js
+
+'use strict';
+
+const http = require('http');
+const url = require('url');
+
+const port = parseInt(process.argv[2]) || 8000;
+const backend = process.argv[3] ? url.parse(process.argv[3].replace(/\/$/, '')) : null;
+
+const images = [];
+
+function cors(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'Location, X-Total-Count');
+}
+
+// the first file part of a multipart/form-data body
+function parseFile(req, body) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(req.headers['content-type'] || '');
+  if (!boundary) {
+    return null;
+  }
+  const delimiter = Buffer.from('--' + (boundary[1] || boundary[2]));
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const headersEnd = body.indexOf('\r\n\r\n', start);
+    const end = body.indexOf(delimiter, headersEnd);
+    if (headersEnd === -1 || end === -1) {
+      return null;
+    }
+    const headers = body.slice(start, headersEnd).toString();
+    if (/filename=/.test(headers)) {
+      const type = /content-type:\s*([^\r\n]+)/i.exec(headers);
+      return {
+        type: type ? type[1] : 'application/octet-stream',
+        data: body.slice(headersEnd + 4, end - 2) // without the CRLF before the delimiter
+      };
+    }
+    start = end;
+  }
+  return null;
+}
+
+function forward(req, res) {
+  if (!backend) {
+    res.statusCode = 404;
+    res.end();
+    return;
+  }
+  const headers = Object.assign({}, req.headers, {
+    host: backend.host
+  });
+  const proxied = http.request({
+    hostname: backend.hostname,
+    port: backend.port,
+    path: backend.pathname.replace(/\/$/, '') + req.url,
+    method: req.method,
+    headers: headers
+  }, (backendRes) => {
+    res.statusCode = backendRes.statusCode;
+    Object.keys(backendRes.headers).forEach((name) => {
+      if (!/^access-control-/i.test(name)) {
+        res.setHeader(name, backendRes.headers[name]);
+      }
+    });
+    backendRes.pipe(res);
+  });
+  proxied.on('error', () => {
+    res.statusCode = 502;
+    res.end();
+  });
+  req.pipe(proxied);
+}
+
+http.createServer((req, res) => {
+  cors(req, res);
+  if (req.method === 'OPTIONS') {
+    res.end();
+    return;
+  }
+
+  const image = /^\/rest\/image\/(\d+)$/.exec(req.url);
+  if (req.method === 'GET' && image) {
+    const stored = images[image[1]];
+    res.statusCode = stored ? 200 : 404;
+    if (stored) {
+      res.setHeader('Content-Type', stored.type);
+    }
+    res.end(stored ? stored.data : undefined);
+  } else if (req.method === 'POST' && req.url === '/rest/image') {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const file = parseFile(req, Buffer.concat(chunks));
+      if (!file || !/^image\//.test(file.type)) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({
+          image: 'an image is mandatory'
+        }));
+        return;
+      }
+      images.push(file);
+      const location = 'http://localhost:' + port + '/rest/image/' + (images.length - 1);
+      res.statusCode = 201;
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Location', location);
+      res.end(JSON.stringify({
+        url: location
+      }));
+    });
+  } else {
+    forward(req, res);
+  }
+}).listen(port, () => {
+  console.log('Image stub server listening on port ' + port +
+    (backend ? ', forwarding to ' + backend.href : ''));
+});